@@ -45,6 +45,9 @@ var Flow = T('flow');
 // Utility that are usefuls throught the entire project
 var Util = T('util');
 
+// Apply the language chosen by the user in the settings, before any string is shown
+var I18n = require('i18n');
+
 // Core is our app main module.
 // It handles the requests and re-route it via the Event module.
 var Core = require('core');
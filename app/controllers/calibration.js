@@ -0,0 +1,105 @@
+var args = $.args;
+
+var Calibration = require('calibration');
+var Units = require('units');
+var Dialog = T('dialog');
+
+//////////////////
+// Private vars //
+//////////////////
+
+var samples = [];
+
+// True while the readings of Core are subscribed
+var isCollecting = false;
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function updateStatus() {
+	if (Calibration.isCalibrated()) {
+		var offset = Calibration.current.offset;
+		$.statusLabel.text = String.format(L('calibration_status_calibrated'), Units.format(offset.x), Units.format(offset.y), Units.format(offset.z), Units.getUnit().symbol);
+	} else {
+		$.statusLabel.text = L('calibration_status_none');
+	}
+}
+
+function onSample(raw) {
+	samples.push(raw);
+
+	// The progress is the worst of the two requirements: number of samples and covered directions
+	var progress = Math.min(1, samples.length / Calibration.MIN_SAMPLES, Calibration.getCoverage(samples) / Calibration.MIN_COVERAGE);
+	$.progress.width = (progress * 100).toFixed(0) + '%';
+
+	if (Calibration.isEnough(samples)) {
+		stopCollecting();
+		computeCalibration();
+	}
+}
+
+function startCollecting() {
+	// The source of the readings could fail to start
+	if (!Core.startDetection()) {
+		Dialog.alert(L('calibration_title'), L('detection_error'));
+		return;
+	}
+
+	samples = [];
+	isCollecting = true;
+
+	$.calibrateBtn.title = L('calibration_stop');
+	$.progress.width = 0;
+	$.statusLabel.text = L('calibration_status_rotate');
+
+	Event.on('core.heading', onSample);
+}
+
+function stopCollecting() {
+	isCollecting = false;
+	$.calibrateBtn.title = L('calibration_start');
+
+	Event.off('core.heading', onSample);
+	Core.stopDetection();
+}
+
+function computeCalibration() {
+	try {
+		Calibration.save(Calibration.fit(samples));
+		updateStatus();
+	} catch (err) {
+		Ti.API.error(err.message);
+		$.statusLabel.text = L('calibration_status_error');
+	}
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.calibrateBtn.addEventListener('click', function() {
+	if (isCollecting) {
+		stopCollecting();
+		updateStatus();
+	} else {
+		startCollecting();
+	}
+});
+
+$.resetBtn.addEventListener('click', function() {
+	if (isCollecting) stopCollecting();
+	Calibration.reset();
+	$.progress.width = 0;
+	updateStatus();
+});
+
+$.mainWindow.addEventListener('close', function() {
+	if (isCollecting) stopCollecting();
+});
+
+//////////
+// Init //
+//////////
+
+updateStatus();
@@ -0,0 +1,68 @@
+var args = $.args;
+
+var Units = require('units');
+var Profiles = require('profiles');
+var Accessibility = require('accessibility');
+var Dialog = T('dialog');
+
+//////////////////
+// Private vars //
+//////////////////
+
+// The time windows selectable by the user, in seconds
+var WINDOWS = [ 10, 30, 60, 300 ];
+
+// True when the readings of Core are subscribed, so the close can unsubscribe
+var isSubscribed = false;
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+// Draw the steps of the active profile as horizontal bands
+function updateBands() {
+	var profile = Profiles.getActive();
+	$.chartWidget.setBands(_.map(profile.steps, function(step, k) {
+		return {
+			value: Units.convert(step.value),
+			color: Accessibility.getStepColor(profile, k),
+			title: step.title
+		};
+	}));
+	$.unitLabel.text = Units.getUnit().name + ' ' + Units.getUnit().symbol;
+}
+
+function refreshUI(reading) {
+	$.valueLabel.text = reading.moduloAsString;
+	$.chartWidget.push(reading.timestamp, Units.convert(reading.modulo));
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.windowBar.addEventListener('click', function(e) {
+	$.chartWidget.setWindow(WINDOWS[e.index]);
+});
+
+$.mainWindow.addEventListener('close', function() {
+	Event.off('core.reading', refreshUI);
+	Event.off('profiles.changed units.changed accessibility.changed', updateBands);
+	if (isSubscribed) Core.stopDetection();
+});
+
+Event.on('profiles.changed units.changed accessibility.changed', updateBands);
+
+//////////
+// Init //
+//////////
+
+// Wait for the WebView to be ready before sending the first data
+$.chartWidget.getView().addEventListener('load', updateBands);
+
+Event.on('core.reading', refreshUI);
+
+isSubscribed = Core.startDetection();
+if (!isSubscribed) {
+	Dialog.alert(L('chart_title'), L('detection_error'));
+}
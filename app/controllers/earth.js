@@ -0,0 +1,46 @@
+var args = $.args;
+
+var Units = require('units');
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+// Format an angle in degrees, with its direction
+function formatAngle(value, positive, negative) {
+	return Math.abs(value).toFixed(1) + '° ' + (value >= 0 ? positive : negative);
+}
+
+function refreshUI() {
+	var vector = Core.earthMagneticVector;
+	if (vector == null) {
+		$.modelLabel.text = Core.earthMagneticVectorState === 'error' ? L('earth_error') : L('earth_loading');
+		return;
+	}
+
+	$.totalLabel.text = Units.format(vector.i, true);
+	if (vector.h != null) $.horizontalLabel.text = Units.format(vector.h, true);
+	if (vector.z != null) $.verticalLabel.text = Units.format(Math.abs(vector.z), true) + ' ' + (vector.z >= 0 ? L('earth_down') : L('earth_up'));
+	if (vector.declination != null) $.declinationLabel.text = formatAngle(vector.declination, L('earth_east'), L('earth_west'));
+	if (vector.inclination != null) $.inclinationLabel.text = formatAngle(vector.inclination, L('earth_down'), L('earth_up'));
+
+	var model = (vector.model != null && vector.date != null) ? String.format(L('earth_model'), vector.model, vector.date.toFixed(2)) : '';
+	var source = vector.source === 'server' ? L('earth_source_server') : L('earth_source_wmm');
+	$.modelLabel.text = _.compact([ model, source, Core.earthMagneticVectorState === 'stale' ? L('earth_stale_help') : null ]).join('\n');
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.mainWindow.addEventListener('close', function() {
+	Event.off('core.earth.changed units.changed', refreshUI);
+});
+
+Event.on('core.earth.changed units.changed', refreshUI);
+
+//////////
+// Init //
+//////////
+
+refreshUI();
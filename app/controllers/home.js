@@ -5,118 +5,311 @@ var args = $.args;
 // Private vars //
 //////////////////
 
-var currentStepIndex = -1;
 var isDetecting = false;
-var detectInterval = null;
+
+// When true, the big label shows the peak of the session instead of the current value
+var holdPeak = false;
 
 // Reference only locally the library
 var Sounds = T('sounds');
+var Recorder = require('recorder');
+var Profiles = require('profiles');
+var Dialog = T('dialog');
+var Units = require('units');
+var Publisher = require('publisher');
+var Algebra = require('algebra');
+var Geiger = require('geiger');
+var Haptics = require('haptics');
+var Accessibility = require('accessibility');
+
+// Installs the background monitoring, enabled in the settings
+require('monitor');
 
-// These are the steps (from min to max) 
-// that defines the UI and behaviours.
-var STEPS = [
-{
-	value: 0,
-	backgroundColor: '#2ECC71',
-	title: 'LOW',
-	vibrate: false,
-	sound: null
-},
-{
-	value: 40,
-	backgroundColor: '#F1C40F',
-	title: 'MEDIUM',
-	vibrate: true,
-	sound: Alloy.Globals.SIMULATOR ? null : Sounds.create('fx/warn.mp3')
-},
-{
-	value: 400,
-	backgroundColor: '#F75F21',
-	title: 'HIGH',
-	vibrate: true,
-	sound: Alloy.Globals.SIMULATOR ? null : Sounds.create('fx/wtf.mp3')
-}
-];
+// The active detection profile: its steps (from min to max)
+// define the UI and behaviours.
+var profile = Profiles.getActive();
 
 /////////////////////
 // Private methods //
 /////////////////////
 
+// Reload the active profile: Core evaluates the new steps with the next reading
+function onProfilesChanged() {
+	profile = Profiles.getActive();
+	$.profileBtn.title = profile.name;
+}
+
+// Show the values in the unit chosen by the user
+function onUnitsChanged() {
+	var unit = Units.getUnit();
+	$.mu.text = unit.name + ' ' + unit.symbol;
+	updateBaseline();
+}
+
+// Show the reference subtracted from the readings: the earth one or the custom baseline
+function updateBaseline() {
+	if (Core.hasCustomBaseline()) {
+		$.earthIntensityLabel.text = String.format(L('tare_active'), Units.format(Algebra.length(Core.baselineVector)));
+		$.earthIntensityLabel.color = '#FFD700';
+		$.tareBtn.title = L('tare_reset');
+	} else {
+		updateEarthState();
+		$.tareBtn.title = L('tare');
+	}
+}
+
+// Show the earth reference, telling when it's not reliable
+function updateEarthState() {
+	if (Core.hasCustomBaseline()) return;
+
+	switch (Core.earthMagneticVectorState) {
+		case 'loading':
+		$.earthIntensityLabel.text = L('earth_loading');
+		$.earthIntensityLabel.color = '#fff';
+		break;
+
+		case 'stale':
+		$.earthIntensityLabel.text = String.format(L('earth_stale'), Units.format(Core.earthMagneticIntensity));
+		$.earthIntensityLabel.color = '#F1C40F';
+		break;
+
+		case 'error':
+		$.earthIntensityLabel.text = L('earth_error');
+		$.earthIntensityLabel.color = '#E74C3C';
+		break;
+
+		default:
+		$.earthIntensityLabel.text = Units.format(Core.earthMagneticIntensity);
+		$.earthIntensityLabel.color = '#fff';
+	}
+}
+
+// Show if the sounds are muted
+function updateMuteButton() {
+	$.muteBtn.title = Geiger.isMuted() ? '🔇' : '🔊';
+	$.muteBtn.accessibilityLabel = Geiger.isMuted() ? L('a11y_unmute') : L('a11y_mute');
+}
+
+// Capture the current field as the baseline, or go back to the earth reference
+function tare() {
+	if (Core.hasCustomBaseline()) {
+		Core.resetBaseline();
+		return;
+	}
+
+	if (!isDetecting) {
+		Dialog.alert(L('tare'), L('tare_start_first'));
+		return;
+	}
+
+	$.tareBtn.enabled = false;
+	$.tareBtn.title = L('tare_in_progress');
+	Core.tare(function(err) {
+		$.tareBtn.enabled = true;
+		if (err != null) {
+			Dialog.alert(L('tare'), L('tare_error'));
+		}
+		updateBaseline();
+	});
+}
+
+// Show the number of readings waiting for the connectivity
+function updatePublishButton() {
+	var queued = Publisher.getQueueLength();
+	$.publishBtn.title = queued > 0 ? String.format(L('publish_queued'), queued) : L('publish');
+}
+
+// Send the current reading to the community map
+function publishReading() {
+	if (!isDetecting || Core.reading == null) {
+		Dialog.alert(L('publish'), L('publish_start_first'));
+		return;
+	}
+
+	$.publishBtn.enabled = false;
+	Publisher.publish(Core.modulo, {
+		success: function(e) {
+			$.publishBtn.enabled = true;
+			if (e.queued) {
+				Dialog.alert(L('publish'), L('publish_offline'));
+			} else {
+				$.publishBtn.title = L('publish_done');
+				setTimeout(updatePublishButton, 2000);
+			}
+		},
+		error: function(err) {
+			$.publishBtn.enabled = true;
+			Dialog.alert(L('publish'), (err != null && err.rejected) ? L('publish_rejected') : L('publish_error'));
+		}
+	});
+}
+
+// Let the user choose the profile to use, or go to edit them
+function selectProfile() {
+	Dialog.option(L('profiles_select'), _.map(Profiles.getAll(), function(p) {
+		return {
+			title: p.name,
+			selected: p.id === profile.id,
+			callback: function() {
+				Profiles.setActive(p.id);
+			}
+		};
+	}).concat([
+	{
+		title: L('profiles_edit'),
+		callback: function() {
+			Router.go('/profiles');
+		}
+	},
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
 function maybeDetect() {
 	if (isDetecting) {
 		
 		// Change the button UI
-		$.startDetectionBtn.title = 'START';
+		$.startDetectionBtn.title = L('detection_start');
 		$.startDetectionBtn.backgroundColor = '#FFF';
+		$.startDetectionBtn.accessibilityHint = L('a11y_start_hint');
+		Accessibility.announce(L('a11y_detection_stopped'), true);
 	
 		// Set a flag to inform the app that is not detecting
 		isDetecting = false;
 
-		// Clear the interval to refresh the UI
-		clearInterval(detectInterval);
+		// Stop listening the readings
+		Event.off('core.reading', refreshUI);
+		Event.off('core.step.changed', onStepChanged);
+		Geiger.stop();
+		Haptics.stop();
 		
 		// And stop the real compass detection
 		Core.stopDetection();
 
+		// Close the recorded session
+		Recorder.stop();
+
 	} else {
 
+		// Start the compass detection first: the source of the readings could fail to start.
+		// The readings come asynchronously, after the listeners below are installed.
+		if (!Core.startDetection()) {
+			Dialog.alert(L('app_name'), L('detection_error'));
+			return;
+		}
+
 		// Change the button UI
-		$.startDetectionBtn.title = 'STOP';
+		$.startDetectionBtn.title = L('detection_stop');
 		$.startDetectionBtn.backgroundColor = '#8FFF';
+		$.startDetectionBtn.accessibilityHint = L('a11y_stop_hint');
+		Accessibility.announce(L('a11y_detection_started'), true);
 
 		// Set a flag to inform the app that is not detecting
 		isDetecting = true;
 
-		// Start a UI refresh interval
-		detectInterval = setInterval(refreshUI, 100);
+		// Refresh the UI when Core publishes a reading or a new step
+		Event.on('core.reading', refreshUI);
+		Event.on('core.step.changed', onStepChanged);
+		Geiger.start();
+		Haptics.start();
 
-		// And start the compass detection. Can pass time before the start really occurs.
-		Core.startDetection();
+		// Open a new session to record every reading
+		Recorder.start();
 
 	}
 }
 
-// Respond to the main event changing the UI according it
-function refreshUI() {
-	// Avoid to refresh
-	if (!isDetecting) return;
-	
-	// Update the UI
-	$.val.text = Core.moduloAsString;
-	$.siriWidget.call('setAmplitude', Math.min(Core.modulo / 500, 1));
-
-	// Check the max step reached
-	var _stepIndex = 0;
-	_.each(STEPS, function(step, k){
-		if (Core.modulo >= step.value) {
-			_stepIndex = +k;
-		}
+// Format a duration in milliseconds as `m:ss`
+function formatDuration(ms) {
+	var seconds = Math.round(ms / 1000);
+	return Math.floor(seconds / 60) + ':' + Util.zeroPad(seconds % 60, 2);
+}
+
+// Show the statistics of the session in the panel
+function refreshStats() {
+	var stats = Core.statistics;
+
+	if (stats.count === 0) {
+		$.statsPeak.text = L('stats_empty');
+		$.statsMin.text = $.statsMean.text = $.statsStdDev.text = $.statsSteps.text = '';
+		return;
+	}
+
+	$.statsPeak.text = String.format(L('stats_peak'), Units.format(stats.max, true), formatDuration(stats.peakTimestamp - stats.startedAt));
+	$.statsMin.text = String.format(L('stats_min'), Units.format(stats.min, true));
+	$.statsMean.text = String.format(L('stats_mean'), Units.format(stats.mean, true));
+	$.statsStdDev.text = String.format(L('stats_stddev'), Units.format(stats.getStandardDeviation(), true));
+	$.statsSteps.text = _.map(profile.steps, function(step, k) {
+		return step.title + ' ' + formatDuration(stats.getTimeInStep(k));
+	}).join('   ');
+}
+
+function toggleStats() {
+	$.statsPanel.visible = !$.statsPanel.visible;
+	if ($.statsPanel.visible) refreshStats();
+}
+
+function toggleHoldPeak() {
+	holdPeak = !holdPeak;
+	$.holdPeakBtn.title = holdPeak ? L('stats_release_peak') : L('stats_hold_peak');
+	$.holdPeakBtn.backgroundColor = holdPeak ? '#fff' : 'transparent';
+	$.holdPeakBtn.color = holdPeak ? '#000' : '#fff';
+}
+
+// Move the needle to the deviation from the differential baseline, on a logarithmic
+// scale that ends at the last step of the profile, so the small approaches are visible too
+function updateNeedle(deviation) {
+	var range = Math.max(_.last(profile.steps).value, 1);
+	var position = Math.min(1, Math.log(1 + Math.abs(deviation)) / Math.log(1 + range)) * (deviation >= 0 ? 1 : -1);
+	$.needle.left = ((0.5 + position / 2) * 100).toFixed(1) + '%';
+}
+
+function onDifferentialChanged() {
+	$.needleView.visible = Core.isDifferential();
+	$.needle.left = '50%';
+}
+
+// Respond to the readings published by Core
+function refreshUI(reading) {
+	if (holdPeak && Core.statistics.max != null) {
+		$.val.text = Units.format(Core.statistics.max);
+	} else if (reading.differential) {
+		$.val.text = (reading.deviation >= 0 ? '+' : '−') + Units.format(Math.abs(reading.deviation));
+	} else {
+		$.val.text = reading.moduloAsString;
+	}
+
+	if (reading.differential) updateNeedle(reading.deviation);
+	if ($.statsPanel.visible) refreshStats();
+	$.siriWidget.call('setAmplitude', Math.min(reading.level / 500, 1));
+}
+
+function updateStepColor(index) {
+	var color = Accessibility.getStepColor(profile, index);
+	$.startDetectionBtn.color = color;
+	$.mainWindow.animate({
+		backgroundColor: color,
+		duration: 1000
 	});
+}
 
-	// And update the UI conseguentally
-	var currentStep = STEPS[_stepIndex];
+// Respond to the step changes, updating the UI conseguentally
+function onStepChanged(e) {
+	var currentStep = e.step;
 	$.st.text = currentStep.title;
 
-	// Only process if somethings's changed
-	if (currentStepIndex !== _stepIndex) {
-		currentStepIndex = _stepIndex;
-
-		// Change the colors based on the steps
-		$.startDetectionBtn.color = currentStep.backgroundColor;
-		$.mainWindow.animate({
-			backgroundColor: currentStep.backgroundColor,
-			duration: 1000
-		});
+	// The colors are not enough for everyone: tell the step to the screen reader too
+	Accessibility.announce(String.format(L('a11y_step_changed'), currentStep.title, Units.format(e.reading.level, true)));
 
-		// Vibrate if specified on the step
-		if (currentStep.vibrate) {
-			Ti.Media.vibrate();
-		}
+	// Change the colors based on the steps
+	updateStepColor(e.index);
 
-		// If a sound is specified, play the sound
-		if (currentStep.sound != null) {
-			currentStep.sound.play();
-		}
+	// If a sound is specified, play the sound
+	if (currentStep.sound != null && !Geiger.isMuted() && !Alloy.Globals.SIMULATOR) {
+		Sounds.play(currentStep.sound);
 	}
 }
 
@@ -128,16 +321,51 @@ $.mapRightButton.addEventListener('click', function(e) {
 	Router.go('/map');
 });
 
+$.settingsLeftButton.addEventListener('click', function(e) {
+	Router.go('/settings');
+});
+
+$.profileBtn.addEventListener('click', selectProfile);
+
+$.publishBtn.addEventListener('click', publishReading);
+
+$.tareBtn.addEventListener('click', tare);
+
+// Let the user retry when the earth vector is not available, otherwise explain it
+$.earthIntensityLabel.addEventListener('click', function() {
+	if (Core.earthMagneticVectorState === 'error') {
+		Core.getEarthMagneticVector();
+	} else if (!Core.hasCustomBaseline()) {
+		Router.go('/earth');
+	}
+});
+
+$.muteBtn.addEventListener('click', function() {
+	Geiger.setMuted(!Geiger.isMuted());
+});
+
+$.statsBtn.addEventListener('click', toggleStats);
+
+$.holdPeakBtn.addEventListener('click', toggleHoldPeak);
+
+$.chartBtn.addEventListener('click', function() {
+	Router.go('/chart');
+});
+
+$.vectorBtn.addEventListener('click', function() {
+	Router.go('/vector');
+});
+
 $.shareFb.addEventListener('click', function() {
 	// Dispatch the share route to the target platform using the 
 	// Util.buildQuery to build the request (no real needed, only for proof of concept)
-	Router.go('/share/facebook' + Util.buildQuery({ modulo: Core.moduloAsString }));
+	Router.go('/share/facebook' + Util.buildQuery({ modulo: Core.modulo.toFixed(0) }));
 });
 
 $.shareTw.addEventListener('click', function() {
 	// Dispatch the share route to the target platform using the 
 	// Util.buildQuery to build the request (no real needed, only for proof of concept)
-	Router.go('/share/twitter' + Util.buildQuery({ modulo: Core.moduloAsString }));
+	Router.go('/share/twitter' + Util.buildQuery({ modulo: Core.modulo.toFixed(0) }));
 });
 
 // This is the listener that does every fucking thing
@@ -145,14 +373,48 @@ $.startDetectionBtn.addEventListener('click', function(){
 	maybeDetect();
 });
 
+// The listeners on the app events, removed when the home is rebuilt
+var listeners = {
+	'profiles.changed': onProfilesChanged,
+	'units.changed': onUnitsChanged,
+	'publisher.queue.changed': updatePublishButton,
+	'core.baseline.changed': updateBaseline,
+	'core.earth.changed': updateEarthState,
+	'core.differential.changed': onDifferentialChanged,
+	'geiger.changed': updateMuteButton,
+
+	// Apply the high-contrast palette immediately
+	'accessibility.changed': function() {
+		if (isDetecting && Core.stepIndex !== -1) updateStepColor(Core.stepIndex);
+	},
+
+	// Every string of the home is set on creation, so build a new one in the new language
+	'i18n.changed': function() {
+		if (isDetecting) maybeDetect();
+		Event.offWithObject(listeners);
+
+		Alloy.Globals.homeDispatchedAtLeastOnce = false;
+		Router.go('/home');
+		$.mainNav.close();
+	}
+};
+
 //////////
 // Init //
 //////////
 
-// Retrieve the earth magnetic vector and visualize in the label
-Core.getEarthMagneticVector(function() {
-	$.earthIntensityLabel.text = Core.earthMagneticIntensity;
-});
+// Keep the UI in sync with the user choices and the state of Core
+Event.onWithObject(listeners);
+
+$.profileBtn.title = profile.name;
+onUnitsChanged();
+$.holdPeakBtn.title = L('stats_hold_peak');
+updatePublishButton();
+updateMuteButton();
+onDifferentialChanged();
+
+// Retrieve the earth magnetic vector and visualize in the label, with its state
+Core.getEarthMagneticVector();
 
 // Set, in a single call, the global navigator (and open it), 
 // the boot controller and the boot window.
@@ -3,9 +3,21 @@ var args = $.args;
 
 var Timap = require('ti.map');
 
+var Profiles = require('profiles');
+var Units = require('units');
+
 // Private var that store all the requests
 var requests = {};
 
+// The layer in use: clustered `pins` or intensity `heatmap`
+var layer = 'pins';
+
+// Max number of circles drawn in the heatmap, to keep the map responsive
+var MAX_HEATMAP_POINTS = 500;
+
+// The circles of the heatmap, by id of the request
+var circles = {};
+
 function fetchRequests() {
 	HTTP.getJSON('/api', { method: 'getRequests' }).then(function(data) {
 
@@ -18,6 +30,96 @@ function fetchRequests() {
 	});
 }
 
+function hexToRGB(hex) {
+	hex = hex.replace('#', '');
+	if (hex.length === 3) hex = hex.replace(/(.)/g, '$1$1');
+	hex = hex.substr(-6);
+	return [ parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16), parseInt(hex.substr(4, 2), 16) ];
+}
+
+function rgbToHex(rgb) {
+	return _.map(rgb, function(c) { return Util.zeroPad(Math.round(c).toString(16), 2); }).join('').toUpperCase();
+}
+
+// Get the color of a modulo, interpolating between the colors of the steps
+function getHeatColor(steps, modulo) {
+	var index = Profiles.getStepIndex({ steps: steps }, modulo);
+	var from = steps[index];
+	var to = steps[index + 1];
+
+	if (to == null) return '#99' + rgbToHex(hexToRGB(from.backgroundColor));
+
+	var t = Math.min(1, Math.max(0, (modulo - from.value) / (to.value - from.value)));
+	var a = hexToRGB(from.backgroundColor);
+	var b = hexToRGB(to.backgroundColor);
+	return '#99' + rgbToHex([ a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t ]);
+}
+
+// Draw the readings in the visible region as colored circles, sized on the zoom level.
+// Only the circles of the readings that entered or left the region are added or removed.
+function updateHeatmap(e) {
+	var steps = Profiles.getActive().steps;
+	var radius = Math.max(20, e.latitudeDelta * 111000 / 30);
+
+	var visible = _.first(_.filter(requests, function(c) {
+		return c.modulo != null &&
+		Math.abs(c.latitude - e.latitude) <= e.latitudeDelta / 2 &&
+		Math.abs(c.longitude - e.longitude) <= e.longitudeDelta / 2;
+	}), MAX_HEATMAP_POINTS);
+	var visibleIds = _.indexBy(visible, 'id');
+
+	_.each(circles, function(circle, id) {
+		if (visibleIds[id] != null) return;
+		$.mapView.removeCircle(circle);
+		delete circles[id];
+	});
+
+	var added = [];
+	_.each(visible, function(c) {
+		var circle = circles[c.id];
+		if (circle != null) {
+			if (circle.radius !== radius) circle.radius = radius;
+			return;
+		}
+
+		circles[c.id] = Timap.createCircle({
+			center: { latitude: c.latitude, longitude: c.longitude },
+			radius: radius,
+			fillColor: getHeatColor(steps, c.modulo),
+			strokeWidth: 0
+		});
+		added.push(circles[c.id]);
+	});
+
+	if (added.length > 0) $.mapView.addCircles(added);
+}
+
+// Show the range of the gradient in the unit in use
+function updateLegend() {
+	var steps = Profiles.getActive().steps;
+	$.legendLabel.text = _.map(steps, function(step) {
+		return step.title + ' ' + Units.format(step.value, true);
+	}).join('  ›  ');
+}
+
+// Switch between pins and heatmap
+function toggleLayer() {
+	layer = layer === 'pins' ? 'heatmap' : 'pins';
+
+	$.layerRightButton.title = layer === 'pins' ? L('map_heatmap') : L('map_pins');
+	$.legendLabel.visible = layer === 'heatmap';
+
+	if (layer === 'pins') {
+		$.mapView.removeAllCircles();
+		circles = {};
+	} else {
+		$.mapView.annotations = [];
+		updateLegend();
+	}
+
+	updateMap(_.extend({}, $.mapView.region, { source: $.mapView }));
+}
+
 // This is the method that update the annoations on the map,
 // clustering it using `Geo.markerCluster`
 function updateMap(e) {
@@ -25,6 +127,12 @@ function updateMap(e) {
 	// Sorry bro.
 	if (requests == null) return;
 
+	// In the heatmap, the readings are not clustered
+	if (layer === 'heatmap') {
+		updateHeatmap(e);
+		return;
+	}
+
 	// Using the `e` variable that contains currents informations about the event map,
 	// re-cluster the pins
 	var markers = Geo.markerCluster(e, requests, {
@@ -65,8 +173,12 @@ function updateMap(e) {
 
 $.mapView.addEventListener('regionchanged', updateMap);
 
+$.layerRightButton.addEventListener('click', toggleLayer);
+
 //////////
 // Init //
 //////////
 
+$.layerRightButton.title = L('map_heatmap');
+
 fetchRequests();
\ No newline at end of file
@@ -0,0 +1,84 @@
+var args = $.args;
+
+var Profiles = require('profiles');
+var Dialog = T('dialog');
+
+//////////////////
+// Private vars //
+//////////////////
+
+// Edit a copy, so nothing changes until the user saves
+var profile = args.id != null ? _.deepClone(Profiles.get(args.id)) : Profiles.create();
+var isNew = args.id == null;
+
+// The controllers of the step rows
+var stepControllers = [];
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function addStep(step) {
+	var controller = Alloy.createController('profile/step', step);
+
+	controller.on('remove', function() {
+		$.stepsContainer.remove(controller.getView());
+		stepControllers = _.without(stepControllers, controller);
+	});
+
+	stepControllers.push(controller);
+	$.stepsContainer.add(controller.getView());
+}
+
+function save() {
+	profile.name = $.nameField.value;
+	profile.steps = _.invoke(stepControllers, 'getStep');
+
+	try {
+		Profiles.save(profile);
+		$.mainWindow.close();
+	} catch (err) {
+		Dialog.alert(L('profile_title'), err.message);
+	}
+}
+
+function remove() {
+	Dialog.confirmYes(L('profile_remove'), String.format(L('profile_remove_confirm'), profile.name), function() {
+		try {
+			Profiles.remove(profile.id);
+			$.mainWindow.close();
+		} catch (err) {
+			Dialog.alert(L('profile_title'), err.message);
+		}
+	});
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.saveBtn.addEventListener('click', save);
+
+$.removeBtn.addEventListener('click', remove);
+
+$.addStepBtn.addEventListener('click', function() {
+	var last = _.last(_.invoke(stepControllers, 'getStep'));
+	addStep({
+		value: last != null ? last.value * 2 || 10 : 0,
+		backgroundColor: '#F75F21',
+		title: '',
+		haptic: null,
+		sound: null
+	});
+});
+
+//////////
+// Init //
+//////////
+
+$.nameField.value = profile.name;
+_.each(profile.steps, addStep);
+
+if (isNew) {
+	$.removeBtn.visible = false;
+}
@@ -0,0 +1,78 @@
+var args = $.args;
+
+var Profiles = require('profiles');
+var Units = require('units');
+var Haptics = require('haptics');
+
+// The sounds the user can cycle through, `null` is no sound
+var sounds = [ null ].concat(Profiles.SOUNDS);
+var sound = args.sound || null;
+
+// The haptics the user can cycle through, `null` is no haptic
+var haptics = [ null ].concat(_.keys(Haptics.PATTERNS), [ Haptics.RHYTHM ]);
+var haptic = Haptics.getStepHaptic(args);
+
+function updateHaptic() {
+	$.hapticBtn.title = haptic == null ? L('profile_step_no_haptic') : ('≋ ' + L('haptic_' + haptic));
+}
+
+function updateSound() {
+	$.soundBtn.title = sound == null ? L('profile_step_no_sound') : ('♪ ' + sound.replace(/^.*\/|\.\w+$/g, ''));
+}
+
+function updateColor() {
+	if (/^#([0-9A-F]{3}|[0-9A-F]{6})$/i.test($.colorField.value)) {
+		$.colorView.backgroundColor = $.colorField.value;
+	}
+}
+
+// Return the step as edited by the user
+$.getStep = function() {
+	return {
+		value: Units.toMicrotesla(parseFloat($.valueField.value) || 0),
+		backgroundColor: $.colorField.value,
+		title: $.titleField.value,
+		titleid: args.titleid,
+		haptic: haptic,
+		sound: sound
+	};
+};
+
+///////////////
+// Listeners //
+///////////////
+
+$.hapticBtn.addEventListener('click', function() {
+	haptic = haptics[ (_.indexOf(haptics, haptic) + 1) % haptics.length ];
+	updateHaptic();
+
+	// Let the user feel the pattern
+	if (haptic != null && Haptics.PATTERNS[haptic] != null) {
+		Haptics.play(Haptics.PATTERNS[haptic]);
+	}
+});
+
+$.soundBtn.addEventListener('click', function() {
+	sound = sounds[ (_.indexOf(sounds, sound) + 1) % sounds.length ];
+	updateSound();
+});
+
+$.colorField.addEventListener('change', updateColor);
+
+$.removeBtn.addEventListener('click', function() {
+	$.trigger('remove');
+});
+
+//////////
+// Init //
+//////////
+
+$.titleField.value = args.title;
+// Thresholds are stored in microtesla, but the user edits them in the unit in use
+$.valueField.value = String(+Units.convert(args.value).toPrecision(6));
+$.valueField.hintText = Units.getUnit().symbol;
+$.colorField.value = args.backgroundColor;
+
+updateHaptic();
+updateSound();
+updateColor();
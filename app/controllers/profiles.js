@@ -0,0 +1,43 @@
+var args = $.args;
+
+var Profiles = require('profiles');
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function populate() {
+	var active = Profiles.getActive();
+
+	$.tableView.data = _.map(Profiles.getAll(), function(p) {
+		return $.UI.create('TableViewRow', {
+			classes: ['row'],
+			title: p.name + (p.id === active.id ? ' ✓' : ''),
+			profileId: p.id
+		});
+	});
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.tableView.addEventListener('click', function(e) {
+	Router.go('/profile' + Util.buildQuery({ id: e.row.profileId }));
+});
+
+$.addBtn.addEventListener('click', function() {
+	Router.go('/profile');
+});
+
+Event.on('profiles.changed', populate);
+
+$.mainWindow.addEventListener('close', function() {
+	Event.off('profiles.changed', populate);
+});
+
+//////////
+// Init //
+//////////
+
+populate();
@@ -0,0 +1,76 @@
+var args = $.args;
+
+var Recorder = require('recorder');
+var Exporter = require('exporter');
+var Dialog = T('dialog');
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function populate() {
+	$.tableView.data = _.map(Recorder.getSessions(), function(session) {
+		return $.UI.create('TableViewRow', {
+			classes: ['row'],
+			title: new Date(session.started_at).toLocaleString(),
+			sessionId: session.id
+		});
+	});
+}
+
+function onError(err) {
+	Dialog.alert(L('sessions_title'), L('sessions_export_error'));
+	Ti.API.error('Sessions: export failed', err);
+}
+
+// Ask the format, then how to share the file
+function exportSession(sessionId) {
+	Dialog.option(L('sessions_export_format'), _.map(Exporter.FORMATS, function(format) {
+		return {
+			title: format.toUpperCase(),
+			callback: function() {
+				Dialog.option(L('sessions_export_via'), [
+				{
+					title: L('sessions_export_email'),
+					callback: function() {
+						Exporter.share(sessionId, format, 'email', { error: onError });
+					}
+				},
+				{
+					title: L('sessions_export_other'),
+					callback: function() {
+						Exporter.share(sessionId, format, 'document', { error: onError });
+					}
+				},
+				{
+					title: L('cancel'),
+					cancel: true
+				}
+				]);
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.tableView.addEventListener('click', function(e) {
+	exportSession(e.row.sessionId);
+});
+
+$.tableView.addEventListener('delete', function(e) {
+	Recorder.removeSession(e.row.sessionId);
+});
+
+//////////
+// Init //
+//////////
+
+populate();
@@ -0,0 +1,217 @@
+var args = $.args;
+
+var Units = require('units');
+var Monitor = require('monitor');
+var Geiger = require('geiger');
+var Haptics = require('haptics');
+var Accessibility = require('accessibility');
+var I18n = require('i18n');
+var Dialog = T('dialog');
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function populateUnits() {
+	var current = Units.get();
+	var unitsSection = Ti.UI.createTableViewSection({
+		headerTitle: L('settings_units')
+	});
+
+	_.each(Units.UNITS, function(unit, key) {
+		unitsSection.add($.UI.create('TableViewRow', {
+			classes: ['unitRow'],
+			title: unit.name + ' (' + unit.symbol + ')',
+			hasCheck: key === current,
+			unit: key
+		}));
+	});
+
+	$.tableView.data = [ unitsSection, $.detectionSection, $.monitorSection, $.geigerSection, $.accessibilitySection, $.languageSection ];
+}
+
+function updateMonitor() {
+	$.monitorSwitch.value = Monitor.isEnabled();
+	$.monitorThresholdRow.title = String.format(L('monitor_threshold'), Units.format(Monitor.getThreshold(), true));
+}
+
+// Let the user choose the threshold of the background alerts
+function selectThreshold() {
+	Dialog.option(L('monitor_threshold_select'), _.map(Monitor.THRESHOLDS, function(value) {
+		return {
+			title: Units.format(value, true),
+			selected: value === Monitor.getThreshold(),
+			callback: function() {
+				Monitor.setThreshold(value);
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+function updateAnomalyMode() {
+	$.anomalyModeRow.title = String.format(L('anomaly_mode'), L('anomaly_mode_' + Core.getAnomalyMode()));
+}
+
+function selectAnomalyMode() {
+	Dialog.option(L('anomaly_mode_select'), _.map(Core.ANOMALY_MODES, function(mode) {
+		return {
+			title: L('anomaly_mode_' + mode),
+			selected: mode === Core.getAnomalyMode(),
+			callback: function() {
+				Core.setAnomalyMode(mode);
+				updateAnomalyMode();
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+function updateDifferential() {
+	$.differentialSwitch.value = Core.isDifferential();
+	$.differentialTimeConstantRow.title = String.format(L('differential_time_constant'), Core.getDifferentialTimeConstant());
+}
+
+function selectDifferentialTimeConstant() {
+	Dialog.option(L('differential_time_constant_select'), _.map(Core.DIFFERENTIAL_TIME_CONSTANTS, function(seconds) {
+		return {
+			title: String.format(L('differential_seconds'), seconds),
+			selected: seconds === Core.getDifferentialTimeConstant(),
+			callback: function() {
+				Core.setDifferentialTimeConstant(seconds);
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+function updateHaptics() {
+	$.hapticsStrengthRow.title = String.format(L('haptics_strength'), L('haptics_strength_' + Haptics.getStrength()));
+}
+
+function selectHapticsStrength() {
+	Dialog.option(L('haptics_strength_select'), _.map(Haptics.STRENGTHS, function(strength) {
+		return {
+			title: L('haptics_strength_' + strength),
+			selected: strength === Haptics.getStrength(),
+			callback: function() {
+				Haptics.setStrength(strength);
+				updateHaptics();
+				Haptics.play(Haptics.PATTERNS.double);
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+function getLanguageName(language) {
+	return language === '' ? L('language_system') : L('language_' + language);
+}
+
+function updateLanguage() {
+	$.languageRow.title = String.format(L('settings_language_current'), getLanguageName(I18n.getLanguage()));
+}
+
+// The whole UI is rebuilt in the new language, see the home
+function selectLanguage() {
+	Dialog.option(L('settings_language_select'), _.map([ '' ].concat(I18n.LANGUAGES), function(language) {
+		return {
+			title: getLanguageName(language),
+			selected: language === I18n.getLanguage(),
+			callback: function() {
+				if (language !== I18n.getLanguage()) I18n.setLanguage(language);
+			}
+		};
+	}).concat([
+	{
+		title: L('cancel'),
+		cancel: true
+	}
+	]));
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.tableView.addEventListener('click', function(e) {
+	if (e.row.unit != null) {
+		Units.set(e.row.unit);
+		populateUnits();
+	} else if (e.row.route != null) {
+		Router.go(e.row.route);
+	} else if (e.row.id === 'monitorThresholdRow') {
+		selectThreshold();
+	} else if (e.row.id === 'anomalyModeRow') {
+		selectAnomalyMode();
+	} else if (e.row.id === 'differentialTimeConstantRow') {
+		selectDifferentialTimeConstant();
+	} else if (e.row.id === 'hapticsStrengthRow') {
+		selectHapticsStrength();
+	} else if (e.row.id === 'languageRow') {
+		selectLanguage();
+	}
+});
+
+$.monitorSwitch.addEventListener('change', function(e) {
+	Monitor.setEnabled(e.value);
+});
+
+$.differentialSwitch.addEventListener('change', function(e) {
+	Core.setDifferential(e.value);
+});
+
+$.highContrastSwitch.addEventListener('change', function(e) {
+	Accessibility.setHighContrast(e.value);
+});
+
+$.geigerSwitch.addEventListener('change', function(e) {
+	Geiger.setEnabled(e.value);
+});
+
+// Save the volume only when the user releases the slider
+$.geigerVolumeSlider.addEventListener('stop', function(e) {
+	Geiger.setVolume(e.value);
+});
+
+$.mainWindow.addEventListener('close', function() {
+	Event.off('monitor.changed units.changed', updateMonitor);
+	Event.off('core.differential.changed', updateDifferential);
+});
+
+Event.on('monitor.changed units.changed', updateMonitor);
+Event.on('core.differential.changed', updateDifferential);
+
+//////////
+// Init //
+//////////
+
+populateUnits();
+updateMonitor();
+updateAnomalyMode();
+updateDifferential();
+
+$.geigerSwitch.value = Geiger.isEnabled();
+$.geigerVolumeSlider.value = Geiger.getVolume();
+
+updateHaptics();
+
+$.highContrastSwitch.value = Accessibility.isHighContrast();
+
+updateLanguage();
@@ -0,0 +1,58 @@
+var args = $.args;
+
+var Units = require('units');
+var Dialog = T('dialog');
+
+//////////////////
+// Private vars //
+//////////////////
+
+// Over this elevation the anomaly is mostly perpendicular to the screen,
+// so we show a symbol instead of the arrow
+var PERPENDICULAR_ELEVATION = 60;
+
+// True when the readings of Core are subscribed, so the close can unsubscribe
+var isSubscribed = false;
+
+/////////////////////
+// Private methods //
+/////////////////////
+
+function refreshUI(reading) {
+	var vector = reading.vector;
+
+	$.magnitudeLabel.text = reading.moduloAsString;
+	$.directionLabel.text = String.format(L('vector_direction'), vector.azimuth.toFixed(0), vector.elevation.toFixed(0));
+	$.componentsLabel.text = String.format('x %s   y %s   z %s   %s', Units.format(vector.anomaly.x), Units.format(vector.anomaly.y), Units.format(vector.anomaly.z), Units.getUnit().symbol);
+
+	if (vector.elevation > PERPENDICULAR_ELEVATION) {
+		$.arrow.text = '⊙';
+		$.arrow.transform = Ti.UI.create2DMatrix();
+	} else if (vector.elevation < -PERPENDICULAR_ELEVATION) {
+		$.arrow.text = '⊗';
+		$.arrow.transform = Ti.UI.create2DMatrix();
+	} else {
+		$.arrow.text = '↑';
+		$.arrow.transform = Ti.UI.create2DMatrix().rotate(vector.azimuth);
+	}
+}
+
+///////////////
+// Listeners //
+///////////////
+
+$.mainWindow.addEventListener('close', function() {
+	Event.off('core.reading', refreshUI);
+	if (isSubscribed) Core.stopDetection();
+});
+
+//////////
+// Init //
+//////////
+
+Event.on('core.reading', refreshUI);
+
+isSubscribed = Core.startDetection();
+if (!isSubscribed) {
+	Dialog.alert(L('vector_title'), L('detection_error'));
+}
@@ -0,0 +1,46 @@
+// Accessibility module
+// Announcements for VoiceOver, and an optional high-contrast palette for the step colors,
+// for the users that can't rely on the colors of the screen.
+
+var HIGH_CONTRAST_PROPERTY = 'accessibility.highContrast';
+
+// Dark colors that keep the white text readable, from the lowest step to the highest.
+// They differ in lightness too, not only in hue, for the color blind users.
+var HIGH_CONTRAST_PALETTE = [ '#005C1F', '#003D99', '#8A4B00', '#A3000B' ];
+
+// Do not flood VoiceOver when the field oscillates across a threshold
+var MIN_ANNOUNCEMENT_INTERVAL = 1500;
+var lastAnnouncementTimestamp = 0;
+
+// Tell if a screen reader is running
+exports.isEnabled = function() {
+	return !!Ti.App.accessibilityEnabled;
+};
+
+// Speak a text with the screen reader, if it's running
+exports.announce = function(text, force) {
+	if (!exports.isEnabled()) return;
+	if (!force && Date.now() - lastAnnouncementTimestamp < MIN_ANNOUNCEMENT_INTERVAL) return;
+
+	lastAnnouncementTimestamp = Date.now();
+	Ti.App.fireSystemEvent(Ti.App.EVENT_ACCESSIBILITY_ANNOUNCEMENT, text);
+};
+
+exports.isHighContrast = function() {
+	return Ti.App.Properties.getBool(HIGH_CONTRAST_PROPERTY, false);
+};
+
+exports.setHighContrast = function(enabled) {
+	Ti.App.Properties.setBool(HIGH_CONTRAST_PROPERTY, enabled);
+	Event.trigger('accessibility.changed');
+};
+
+// Get the color of the step at `index` of a profile: its own,
+// or the one in the same position of the high-contrast palette
+exports.getStepColor = function(profile, index) {
+	if (!exports.isHighContrast()) return profile.steps[index].backgroundColor;
+
+	var count = profile.steps.length;
+	var position = count > 1 ? index / (count - 1) : 0;
+	return HIGH_CONTRAST_PALETTE[ Math.round(position * (HIGH_CONTRAST_PALETTE.length - 1)) ];
+};
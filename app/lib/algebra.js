@@ -0,0 +1,136 @@
+// Algebra module
+// Small helpers to work with 3D vectors and matrices (as arrays of rows).
+
+exports.identity = function() {
+	return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+};
+
+// Multiply a 3x3 matrix by an `{ x, y, z }` vector
+exports.multiply = function(m, v) {
+	return {
+		x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+		y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+		z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z
+	};
+};
+
+exports.transpose = function(m) {
+	return _.map(m[0], function(col, j) {
+		return _.map(m, function(row) { return row[j]; });
+	});
+};
+
+exports.determinant = function(m) {
+	return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+	m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+	m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+};
+
+exports.length = function(v) {
+	return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+};
+
+exports.dot = function(a, b) {
+	return a.x * b.x + a.y * b.y + a.z * b.z;
+};
+
+exports.subtract = function(a, b) {
+	return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+};
+
+exports.add = function(a, b) {
+	return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+};
+
+exports.scale = function(v, k) {
+	return { x: v.x * k, y: v.y * k, z: v.z * k };
+};
+
+exports.cross = function(a, b) {
+	return {
+		x: a.y * b.z - a.z * b.y,
+		y: a.z * b.x - a.x * b.z,
+		z: a.x * b.y - a.y * b.x
+	};
+};
+
+// Return the vector with length 1, or null for a null vector
+exports.normalize = function(v) {
+	var length = exports.length(v);
+	return length > 0 ? exports.scale(v, 1 / length) : null;
+};
+
+// Solve the linear system `A * x = b` of any size with the Gauss elimination.
+// Return null if the system is singular.
+exports.solve = function(A, b) {
+	var n = b.length;
+	var M = _.map(A, function(row, i) { return row.concat([ b[i] ]); });
+
+	for (var col = 0; col < n; col++) {
+		// Partial pivoting
+		var pivot = col;
+		for (var r = col + 1; r < n; r++) {
+			if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+		}
+		if (Math.abs(M[pivot][col]) < 1e-12) return null;
+
+		var tmp = M[col]; M[col] = M[pivot]; M[pivot] = tmp;
+
+		for (var k = col + 1; k < n; k++) {
+			var f = M[k][col] / M[col][col];
+			for (var c = col; c <= n; c++) M[k][c] -= f * M[col][c];
+		}
+	}
+
+	var x = new Array(n);
+	for (var i = n - 1; i >= 0; i--) {
+		var sum = M[i][n];
+		for (var j = i + 1; j < n; j++) sum -= M[i][j] * x[j];
+		x[i] = sum / M[i][i];
+	}
+	return x;
+};
+
+// Compute eigenvalues and eigenvectors (as columns of `vectors`)
+// of a symmetric 3x3 matrix using the Jacobi method.
+exports.eigenSymmetric = function(m) {
+	var a = _.map(m, _.clone);
+	var v = exports.identity();
+
+	for (var sweep = 0; sweep < 50; sweep++) {
+		var off = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+		if (off < 1e-12) break;
+
+		for (var p = 0; p < 2; p++) {
+			for (var q = p + 1; q < 3; q++) {
+				if (Math.abs(a[p][q]) < 1e-15) continue;
+
+				var theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+				var t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				var c = 1 / Math.sqrt(t * t + 1);
+				var s = t * c;
+
+				for (var k = 0; k < 3; k++) {
+					var akp = a[k][p], akq = a[k][q];
+					a[k][p] = c * akp - s * akq;
+					a[k][q] = s * akp + c * akq;
+				}
+				for (var l = 0; l < 3; l++) {
+					var apl = a[p][l], aql = a[q][l];
+					a[p][l] = c * apl - s * aql;
+					a[q][l] = s * apl + c * aql;
+				}
+				for (var i = 0; i < 3; i++) {
+					var vip = v[i][p], viq = v[i][q];
+					v[i][p] = c * vip - s * viq;
+					v[i][q] = s * vip + c * viq;
+				}
+			}
+		}
+	}
+
+	return {
+		values: [ a[0][0], a[1][1], a[2][2] ],
+		vectors: v
+	};
+};
@@ -0,0 +1,130 @@
+// Calibration module
+// Removes the hard-iron (offset) and soft-iron (distortion) effects of the phone
+// and its case from the compass readings, fitting an ellipsoid to samples taken
+// while the user rotates the device in every direction.
+
+var Algebra = require('algebra');
+
+var PROPERTY = 'calibration';
+
+// Minimum number of samples and of covered directions required for a fit
+exports.MIN_SAMPLES = 150;
+exports.MIN_COVERAGE = 0.7;
+
+// Directions are split in 8 azimuth sectors by 4 elevation bands
+var AZIMUTH_SECTORS = 8;
+var ELEVATION_BANDS = 4;
+
+// Current calibration, loaded from the persisted one
+exports.current = Ti.App.Properties.getObject(PROPERTY, null);
+
+exports.isCalibrated = function() {
+	return exports.current != null;
+};
+
+// Apply the current calibration to a raw `{ x, y, z }` vector
+exports.apply = function(vector) {
+	if (exports.current == null) return vector;
+	return Algebra.multiply(exports.current.matrix, Algebra.subtract(vector, exports.current.offset));
+};
+
+// Persist a calibration and start to use it
+exports.save = function(calibration) {
+	exports.current = calibration;
+	Ti.App.Properties.setObject(PROPERTY, calibration);
+};
+
+// Remove the calibration, going back to the raw readings
+exports.reset = function() {
+	exports.current = null;
+	Ti.App.Properties.removeProperty(PROPERTY);
+};
+
+// Return the fraction (0..1) of the directions covered by the samples,
+// as seen from their mean point
+exports.getCoverage = function(samples) {
+	if (samples.length === 0) return 0;
+
+	var center = {
+		x: _.reduce(samples, function(sum, s) { return sum + s.x; }, 0) / samples.length,
+		y: _.reduce(samples, function(sum, s) { return sum + s.y; }, 0) / samples.length,
+		z: _.reduce(samples, function(sum, s) { return sum + s.z; }, 0) / samples.length
+	};
+
+	var bins = {};
+	_.each(samples, function(s) {
+		var d = Algebra.subtract(s, center);
+		var azimuth = Math.atan2(d.y, d.x) + Math.PI;
+		var elevation = Math.atan2(d.z, Math.sqrt(d.x * d.x + d.y * d.y)) + Math.PI / 2;
+		var a = Math.min(AZIMUTH_SECTORS - 1, Math.floor(azimuth / (2 * Math.PI) * AZIMUTH_SECTORS));
+		var e = Math.min(ELEVATION_BANDS - 1, Math.floor(elevation / Math.PI * ELEVATION_BANDS));
+		bins[a + ':' + e] = true;
+	});
+
+	return _.size(bins) / (AZIMUTH_SECTORS * ELEVATION_BANDS);
+};
+
+// Tell if the samples are enough to compute a reliable calibration
+exports.isEnough = function(samples) {
+	return samples.length >= exports.MIN_SAMPLES && exports.getCoverage(samples) >= exports.MIN_COVERAGE;
+};
+
+// Fit an ellipsoid to the samples and compute the calibration.
+// The ellipsoid is `a x² + b y² + c z² + 2d xy + 2e xz + 2f yz + 2g x + 2h y + 2i z = 1`:
+// its center is the hard-iron offset, and the matrix that maps it to a sphere
+// (with the same volume, to keep the readings in µT) is the soft-iron correction.
+exports.fit = function(samples) {
+	if (samples.length < 9) throw new Error('Calibration: not enough samples');
+
+	// Build the normal equations of the least squares problem
+	var AtA = _.map(_.range(9), function() { return _.map(_.range(9), function() { return 0; }); });
+	var Atb = _.map(_.range(9), function() { return 0; });
+
+	_.each(samples, function(s) {
+		var row = [ s.x * s.x, s.y * s.y, s.z * s.z, 2 * s.x * s.y, 2 * s.x * s.z, 2 * s.y * s.z, 2 * s.x, 2 * s.y, 2 * s.z ];
+		for (var i = 0; i < 9; i++) {
+			Atb[i] += row[i];
+			for (var j = 0; j < 9; j++) AtA[i][j] += row[i] * row[j];
+		}
+	});
+
+	var p = Algebra.solve(AtA, Atb);
+	if (p == null) throw new Error('Calibration: unable to fit the samples');
+
+	var A = [
+	[ p[0], p[3], p[4] ],
+	[ p[3], p[1], p[5] ],
+	[ p[4], p[5], p[2] ]
+	];
+
+	var center = Algebra.solve(A, [ -p[6], -p[7], -p[8] ]);
+	if (center == null) throw new Error('Calibration: unable to fit the samples');
+
+	var offset = { x: center[0], y: center[1], z: center[2] };
+
+	// Normalize the quadric so that `(v - offset)' Q (v - offset) = 1`
+	var k = 1 + Algebra.dot(offset, Algebra.multiply(A, offset));
+	var Q = _.map(A, function(row) { return _.map(row, function(v) { return v / k; }); });
+
+	var eigen = Algebra.eigenSymmetric(Q);
+	if (_.some(eigen.values, function(v) { return v <= 0; })) {
+		throw new Error('Calibration: the samples do not describe an ellipsoid');
+	}
+
+	// Square root of Q, scaled by the radius of the sphere with the same volume
+	var radius = Math.pow(eigen.values[0] * eigen.values[1] * eigen.values[2], -1 / 6);
+	var V = eigen.vectors;
+	var sqrtValues = _.map(eigen.values, Math.sqrt);
+	var matrix = _.map(_.range(3), function(i) {
+		return _.map(_.range(3), function(j) {
+			return radius * (V[i][0] * sqrtValues[0] * V[j][0] + V[i][1] * sqrtValues[1] * V[j][1] + V[i][2] * sqrtValues[2] * V[j][2]);
+		});
+	});
+
+	return {
+		offset: offset,
+		matrix: matrix,
+		radius: radius,
+		date: Date.now()
+	};
+};
@@ -3,43 +3,384 @@
 exports.earthMagneticVector = null;
 exports.earthMagneticIntensity = null;
 
+// The state of the earth magnetic vector: `loading`, `ready`, `stale` (a cached one,
+// computed for another place or too old, is in use) or `error`.
+// When it changes, the `core.earth.changed` event is published.
+exports.earthMagneticVectorState = 'loading';
+
+// True while someone is subscribed to the readings: see `startDetection`
 exports.isDetecting = false;
 
 exports.modulo = 0;
 exports.moduloAsString = '-';
 
-var fakeSimulatorHeading = 0;
-var headingListenerInstalled = false;
+// The last reading, with the raw components of the compass data.
+// It's published, throttled for the UI, with the `core.reading` event.
+exports.reading = null;
+
+// The index of the step of the active profile reached by the last reading.
+// When it changes, the `core.step.changed` event is published.
+exports.stepIndex = -1;
+
+// The custom baseline captured with the tare, subtracted from the readings
+// instead of the earth reference. Null when using the earth reference.
+exports.baselineVector = null;
+
+// The field vector in the device frame (x to the right, y to the top, z out of the screen),
+// with the anomaly components and its direction: see `computeVector`
+exports.vector = null;
+
+var Recorder = require('recorder');
+var WMM = require('wmm');
+var Filters = require('filters');
+var Calibration = require('calibration');
+var Algebra = require('algebra');
+var Units = require('units');
+var Profiles = require('profiles');
+var Statistics = require('statistics');
+var Sensor = require('sensor');
+var Orientation = require('orientation');
+
+// How the anomaly is computed with the earth reference:
+// `scalar` removes the earth intensity along the field direction,
+// `vector` removes the earth vector component by component, knowing the orientation of the device.
+exports.ANOMALY_MODES = [ 'scalar', 'vector' ];
+var ANOMALY_MODE_PROPERTY = 'core.anomalyMode';
+
+// In differential mode the steps follow the deviation from a baseline that slowly
+// adapts to the modulo, so the sudden changes count and the slow drift doesn't.
+// The time constant, in seconds, is how slowly the baseline adapts.
+exports.DIFFERENTIAL_TIME_CONSTANTS = [ 2, 5, 10, 30 ];
+var DIFFERENTIAL_PROPERTY = 'core.differential';
+var DIFFERENTIAL_TIME_CONSTANT_PROPERTY = 'core.differentialTimeConstant';
+
+// The statistics of the current detection session
+exports.statistics = new Statistics();
+
+// The source of the readings
+var sensor = Sensor.loadDriver(Sensor.config.driver);
+var sensorOptions = _.omit(Alloy.CFG.sensor || {}, 'driver');
+
+// The number of subscribers of the readings: the sensor is started with the first one
+// and stopped when the last one goes away
+var subscribers = 0;
+
+// The settings used on every reading, cached to keep the properties out of the hot path.
+// They are refreshed by the events of their setters: see the bottom of the file.
+var activeProfile = null;
+var anomalyMode = null;
+var isDifferential = false;
+var differentialTimeConstant = null;
+
+// The readings arrive far more often than the UI can show them
+var triggerReading = _.throttle(function() {
+	if (exports.reading != null) {
+		Event.trigger('core.reading', exports.reading);
+	}
+}, Alloy.CFG.readingThrottle || 100);
+
+// The readings collected while taring, null when not taring
+var tareSamples = null;
+
+// The moving baseline of the differential mode, and the time it was updated
+var differentialBaseline = null;
+var differentialTimestamp = null;
+
+// Follow the modulo with an exponential moving average, that is independent
+// from the rate of the readings. Return the deviation from the baseline.
+function updateDifferentialBaseline(modulo, timestamp) {
+	if (differentialBaseline == null) {
+		differentialBaseline = modulo;
+	} else {
+		var dt = (timestamp - differentialTimestamp) / 1000;
+		var alpha = 1 - Math.exp(-dt / differentialTimeConstant);
+		differentialBaseline += alpha * (modulo - differentialBaseline);
+	}
+
+	differentialTimestamp = timestamp;
+	return modulo - differentialBaseline;
+}
+
+// Compute the earth vector expected in the device frame, rotating the world one (north, east, down)
+// with the gravity, that gives the down axis, and the true heading, that gives the north around it.
+// Return null when the orientation is not known.
+function getExpectedEarthVector(trueHeading) {
+	var earth = exports.earthMagneticVector;
+	var gravity = Orientation.getGravity();
+	if (earth == null || earth.x == null || gravity == null || trueHeading == null || trueHeading < 0) return null;
+
+	var down = Algebra.normalize(gravity);
+	if (down == null) return null;
+
+	// The top of the device projected on the horizontal plane points to the heading.
+	// When the device is held upright it's undefined, as the heading.
+	var top = { x: 0, y: 1, z: 0 };
+	var forward = Algebra.normalize(Algebra.subtract(top, Algebra.scale(down, Algebra.dot(top, down))));
+	if (forward == null || Math.abs(Algebra.dot(top, down)) > 0.95) return null;
+
+	// 90° clockwise from the forward direction, seen from above
+	var right = Algebra.cross(down, forward);
+
+	var angle = trueHeading * Math.PI / 180;
+	var north = Algebra.subtract(Algebra.scale(forward, Math.cos(angle)), Algebra.scale(right, Math.sin(angle)));
+	var east = Algebra.add(Algebra.scale(forward, Math.sin(angle)), Algebra.scale(right, Math.cos(angle)));
+
+	return Algebra.add(Algebra.add(Algebra.scale(north, earth.x), Algebra.scale(east, earth.y)), Algebra.scale(down, earth.z));
+}
+
+// Compute the anomaly vector, the part of the field that is not due to the baseline,
+// and its direction in the device frame. Azimuth is measured clockwise from the top
+// of the device, elevation is positive when the anomaly comes out of the screen.
+// With a custom baseline we subtract it component by component. With the earth reference,
+// in `vector` mode we subtract the expected earth vector, if we know the orientation.
+// Otherwise we can only remove the earth intensity along the field direction:
+// when a source is close it dominates the field, so the direction is the one of its field lines.
+function computeVector(heading, trueHeading) {
+	var magnitude = Algebra.length(heading);
+	var anomaly;
+	var mode = 'scalar';
+	var expected = null;
+
+	if (exports.baselineVector != null) {
+		anomaly = Algebra.subtract(heading, exports.baselineVector);
+		mode = 'baseline';
+	} else if (anomalyMode === 'vector' && (expected = getExpectedEarthVector(trueHeading)) != null) {
+		anomaly = Algebra.subtract(heading, expected);
+		mode = 'vector';
+	} else {
+		var scale = (magnitude > 0 && exports.earthMagneticIntensity != null) ? (1 - exports.earthMagneticIntensity / magnitude) : 1;
+		anomaly = {
+			x: heading.x * scale,
+			y: heading.y * scale,
+			z: heading.z * scale
+		};
+	}
+
+	return {
+		x: heading.x,
+		y: heading.y,
+		z: heading.z,
+		magnitude: magnitude,
+		anomaly: anomaly,
+		mode: mode,
+		azimuth: (Math.atan2(anomaly.x, anomaly.y) * 180 / Math.PI + 360) % 360,
+		elevation: Math.atan2(anomaly.z, Math.sqrt(anomaly.x * anomaly.x + anomaly.y * anomaly.y)) * 180 / Math.PI
+	};
+}
 
 // Handle the data from the compass, analyze it and store the modulo
 function headingEventHandler(e) {
+	var raw = {
+		x: e.heading.x,
+		y: e.heading.y,
+		z: e.heading.z
+	};
+
+	// Let the calibration collect the raw samples
+	Event.trigger('core.heading', raw);
+
+	// Remove the hard-iron and soft-iron effects, then
+	// smooth the components through the configured filters.
+	// The `raw` events (the scenarios of the simulator) are used as they are, to be repeatable.
+	var heading = e.raw ? raw : Filters.process(Calibration.apply(raw));
+
+	// Collect the readings for the tare
+	if (tareSamples != null) {
+		tareSamples.push(heading);
+	}
+
+	// The true heading comes only from the compass, with -1 when it's not valid
+	var trueHeading = e.heading.trueHeading;
+	if ((trueHeading == null || trueHeading < 0) && e.heading.magneticHeading >= 0 && exports.earthMagneticVector != null && exports.earthMagneticVector.declination != null) {
+		trueHeading = (e.heading.magneticHeading + exports.earthMagneticVector.declination + 360) % 360;
+	}
+
+	// Keep the direction too, for the vector mode
+	exports.vector = computeVector(heading, trueHeading);
+
 	// Sum the components and make the Euclide modulo
-	var modulo = Math.sqrt( Math.pow(e.heading.x, 2) + Math.pow(e.heading.y, 2) + Math.pow(e.heading.z, 2) );
+	var modulo = exports.vector.magnitude;
 	var moduloAsString;
 
-	if (exports.earthMagneticIntensity != null) {
-		modulo = Math.abs(modulo - exports.earthMagneticIntensity);
-		moduloAsString = modulo.toFixed(0);
+	if (exports.hasCustomBaseline() || exports.earthMagneticIntensity != null) {
+		// The modulo of the anomaly, that in `scalar` mode is `|modulo - earthMagneticIntensity|`
+		modulo = Algebra.length(exports.vector.anomaly);
+		moduloAsString = Units.format(modulo);
 	} else {
 		// If the earth magnetic intensity is not retrived yet, just put a "*" to indicate an incoerence.
-		moduloAsString = modulo.toFixed(0) + '*';
+		moduloAsString = Units.format(modulo) + '*';
 	}
 
 	exports.modulo = modulo;
 	exports.moduloAsString = moduloAsString;
+
+	var timestamp = Date.now();
+	var deviation = updateDifferentialBaseline(modulo, timestamp);
+
+	// The level drives the steps and the feedbacks: the modulo, or the deviation in differential mode
+	var level = isDifferential ? Math.abs(deviation) : modulo;
+
+	// Evaluate the step of the active profile
+	var profile = activeProfile;
+	var stepIndex = Profiles.getStepIndex(profile, level);
+
+	exports.reading = {
+		timestamp: timestamp,
+		x: e.heading.x,
+		y: e.heading.y,
+		z: e.heading.z,
+		modulo: modulo,
+		moduloAsString: moduloAsString,
+		deviation: deviation,
+		differential: isDifferential,
+		level: level,
+		earthIntensity: exports.earthMagneticIntensity,
+		stepIndex: stepIndex,
+		vector: exports.vector
+	};
+
+	exports.statistics.add(modulo, timestamp, stepIndex);
+
+	// Store the reading in the current session, if any
+	if (Recorder.isRecording()) {
+		Recorder.add(exports.reading);
+	}
+
+	// The step is published immediately, the reading when the UI can handle it
+	if (stepIndex !== exports.stepIndex) {
+		exports.stepIndex = stepIndex;
+		Event.trigger('core.step.changed', {
+			index: stepIndex,
+			step: profile.steps[stepIndex],
+			profile: profile,
+			reading: exports.reading
+		});
+	}
+
+	triggerReading();
+}
+
+// Build the earth magnetic vector from the World Magnetic Model, for the current position and date.
+// Intensities are converted from nanotesla to microtesla, as the compass reports them.
+function getEarthMagneticVectorFromModel(geoData) {
+	var result = WMM.calculate(geoData.latitude, geoData.longitude, (geoData.altitude || 0) / 1000, new Date());
+	return {
+		i: result.total / 1000,
+		h: result.horizontal / 1000,
+		x: result.north / 1000,
+		y: result.east / 1000,
+		z: result.down / 1000,
+		declination: result.declination,
+		inclination: result.inclination,
+		model: result.model,
+		date: result.date,
+		source: 'wmm'
+	};
+}
+
+// The vector is cached with the position and the time it was computed for,
+// and reused while the user stays within `radius` km for `maxAge` ms.
+var EARTH_VECTOR_PROPERTY = 'core.earthMagneticVector';
+var earthVectorCacheConfig = _.extend({
+	radius: 10,
+	maxAge: 7 * 24 * 3600 * 1000
+}, Alloy.CFG.earthMagneticVectorCache);
+
+function setEarthMagneticVector(vector, state) {
+	exports.earthMagneticVector = vector;
+	exports.earthMagneticIntensity = vector != null ? vector.i : null;
+	setEarthMagneticVectorState(state);
+}
+
+function setEarthMagneticVectorState(state) {
+	exports.earthMagneticVectorState = state;
+	Event.trigger('core.earth.changed', state);
+}
+
+function cacheEarthMagneticVector(vector, geoData) {
+	Ti.App.Properties.setObject(EARTH_VECTOR_PROPERTY, {
+		vector: vector,
+		latitude: geoData.latitude,
+		longitude: geoData.longitude,
+		timestamp: Date.now()
+	});
+}
+
+// Tell if the cached vector can be used for a position
+function isCacheValid(cache, geoData) {
+	return cache != null &&
+	Date.now() - cache.timestamp < earthVectorCacheConfig.maxAge &&
+	Geo.distanceInKm(cache.latitude, cache.longitude, geoData.latitude, geoData.longitude) < earthVectorCacheConfig.radius;
+}
+
+// Ask our server for the vector, that overrides the local one when it arrives.
+// The elements the server doesn't return are kept from the model.
+function refreshEarthMagneticVectorFromServer(geoData, callback) {
+	var modelVector = exports.earthMagneticVector;
+
+	HTTP.getJSON('/api', geoData)
+	.then(function(vector) {
+		vector = _.extend({}, modelVector, vector, { source: 'server' });
+		cacheEarthMagneticVector(vector, geoData);
+		setEarthMagneticVector(vector, 'ready');
+		callback();
+	})
+	.fail(function(err) {
+		Ti.API.warn('Core: unable to get the earth magnetic vector from the server', err);
+	});
 }
 
-// This function call our server, passing current user location.
-// The server responds with current earth magnetic vector in current user zone.
+// This function gets the earth magnetic vector in current user zone.
+// The cached one is used immediately, and while the user stays close to where it was computed.
+// Otherwise it's computed with the bundled World Magnetic Model, so it works offline,
+// and if enabled in the config it's refreshed in the background with our server.
 // We store this value in a global module variable to use it later.
-exports.getEarthMagneticVector = function(callback) {
+// `opt.success` is called every time the vector changes, `opt.error` when there's no vector at all.
+exports.getEarthMagneticVector = function(opt) {
+	opt = _.defaults(opt || {}, {
+		success: Alloy.Globals.noop,
+		error: Alloy.Globals.noop
+	});
+
+	var cache = Ti.App.Properties.getObject(EARTH_VECTOR_PROPERTY, null);
+	if (cache != null) {
+		// Stale until we know where the user is
+		setEarthMagneticVector(cache.vector, 'stale');
+		opt.success();
+	} else {
+		setEarthMagneticVectorState('loading');
+	}
+
 	Geo.getCurrentPosition({
 		success: function(geoData) {
-			HTTP.getJSON('/api', geoData).then(function(vector) {
-				exports.earthMagneticVector = vector;
-				exports.earthMagneticIntensity = vector.i;
-				callback();
-			});
+			if (isCacheValid(cache, geoData)) {
+				setEarthMagneticVectorState('ready');
+				opt.success();
+				return;
+			}
+
+			try {
+				var vector = getEarthMagneticVectorFromModel(geoData);
+				cacheEarthMagneticVector(vector, geoData);
+				setEarthMagneticVector(vector, 'ready');
+				opt.success();
+			} catch (err) {
+				Ti.API.error('Core: unable to compute the earth magnetic vector', err);
+				if (cache == null) setEarthMagneticVectorState('error');
+			}
+
+			if (Alloy.CFG.earthMagneticVectorFromServer) {
+				refreshEarthMagneticVectorFromServer(geoData, opt.success);
+			}
+
+			if (exports.earthMagneticVectorState === 'error') opt.error();
+		},
+		error: function(err) {
+			// Keep using the cached vector, if any
+			if (cache == null) {
+				setEarthMagneticVectorState('error');
+			}
+			opt.error(err);
 		}
 	});
 };
@@ -104,43 +445,206 @@ exports.checkPermissions = function() {
 	}
 };
 
-// Start the detection.
-// If is the first time, it start the routine of storing the earth magnetic vector,
-// and install the heading listener to read the compass data
+// Start a sensor driver, telling if it succeeded
+function startSensor(driver, options) {
+	try {
+		driver.start(headingEventHandler, options);
+		return true;
+	} catch (err) {
+		Ti.API.error('Core: unable to start the sensor <' + driver.name + '>', err);
+		driver.stop();
+		return false;
+	}
+}
+
+// Subscribe to the readings, starting the detection.
+// The first subscriber installs the listener on the sensor driver: every call
+// must be balanced by a `stopDetection`, so the last one can remove it.
+// Return false when the sensor driver fails to start: in that case nothing is subscribed.
 exports.startDetection = function() {
+	if (subscribers > 0) {
+		subscribers++;
+		return true;
+	}
+
+	// Do not let the readings of the previous detection affect the new one
+	Filters.reset();
+	exports.statistics.reset();
+	exports.reading = null;
+	exports.stepIndex = -1;
+	differentialBaseline = null;
+
+	if (!startSensor(sensor, sensorOptions)) return false;
+
+	subscribers = 1;
 	exports.isDetecting = true;
 
-	// And install (once) the listener
-	if (!headingListenerInstalled) {
-		headingListenerInstalled = true;
-
-		// Here, we simulate the modulo using random values on the simulator
-		if (Alloy.Globals.SIMULATOR) {
-			setInterval(function() {
-				fakeSimulatorHeading += -2 + Math.random() * 4;
-				headingEventHandler({
-					heading: {
-						x: fakeSimulatorHeading,
-						y: fakeSimulatorHeading,
-						z: fakeSimulatorHeading
-					}
-				});
-			}, 100);
-		} else {
-			Ti.Geolocation.addEventListener('heading', headingEventHandler);
-		}
+	if (exports.getAnomalyMode() === 'vector') Orientation.start();
+	return true;
+};
+
+// Change the source of the readings, at runtime.
+// `name` is a driver in `lib/sensor`, `options` are passed to its `start`.
+// When the driver can't be loaded, refuses the options or fails to start, the previous one
+// is kept and false is returned.
+exports.setSensor = function(name, options) {
+	options = options || {};
+
+	var driver;
+	try {
+		driver = Sensor.loadDriver(name);
+		driver.validate(options);
+	} catch (err) {
+		Ti.API.error('Core: unable to use the sensor <' + name + '>', err);
+		return false;
 	}
+
+	var previous = sensor;
+	previous.stop();
+	Filters.reset();
+
+	if (subscribers > 0 && !startSensor(driver, options)) {
+		// Keep the readings coming from the previous driver
+		startSensor(previous, sensorOptions);
+		return false;
+	}
+
+	sensor = driver;
+	sensorOptions = options;
+	return true;
+};
+
+// Get the name of the driver in use
+exports.getSensor = function() {
+	return sensor.name;
+};
+
+// Tell if the readings are relative to a custom baseline instead of the earth reference
+exports.hasCustomBaseline = function() {
+	return exports.baselineVector != null;
+};
+
+// Capture the current field, averaged over a short window, as the new baseline.
+// The detection must be running. The callback receives an error, or the baseline.
+exports.tare = function(callback) {
+	callback = callback || Alloy.Globals.noop;
+
+	if (!exports.isDetecting) {
+		return callback(new Error('Core: start the detection before taring'));
+	}
+
+	tareSamples = [];
+	setTimeout(function() {
+		var samples = tareSamples;
+		tareSamples = null;
+
+		if (samples.length === 0) {
+			return callback(new Error('Core: no readings received while taring'));
+		}
+
+		exports.baselineVector = {
+			x: _.reduce(samples, function(sum, s) { return sum + s.x; }, 0) / samples.length,
+			y: _.reduce(samples, function(sum, s) { return sum + s.y; }, 0) / samples.length,
+			z: _.reduce(samples, function(sum, s) { return sum + s.z; }, 0) / samples.length
+		};
+
+		Event.trigger('core.baseline.changed', exports.baselineVector);
+		callback(null, exports.baselineVector);
+	}, Alloy.CFG.tareWindow || 1000);
 };
 
-// Stop the detection with a simple flag that doesn't call the event
+// Go back to the earth reference
+exports.resetBaseline = function() {
+	exports.baselineVector = null;
+	Event.trigger('core.baseline.changed', null);
+};
+
+// Change the filters applied to the compass readings, at runtime.
+// See `lib/filters.js` for the format of the definitions.
+exports.setFilters = function(definitions) {
+	Filters.setChain(definitions);
+};
+
+// Unsubscribe from the readings. The last subscriber stops the sensor driver.
 exports.stopDetection = function() {
+	if (subscribers === 0) return;
+
+	subscribers--;
+	if (subscribers > 0) return;
+
 	exports.isDetecting = false;
+	sensor.stop();
+	Orientation.stop();
+};
+
+exports.getAnomalyMode = function() {
+	return Ti.App.Properties.getString(ANOMALY_MODE_PROPERTY, 'scalar');
+};
+
+// Change how the anomaly is computed: see `ANOMALY_MODES`
+exports.setAnomalyMode = function(mode) {
+	Ti.App.Properties.setString(ANOMALY_MODE_PROPERTY, mode);
+
+	// Follow the orientation only when needed
+	if (mode === 'vector' && exports.isDetecting) {
+		Orientation.start();
+	} else {
+		Orientation.stop();
+	}
+
+	Event.trigger('core.anomalyMode.changed', mode);
+};
+
+exports.isDifferential = function() {
+	return Ti.App.Properties.getBool(DIFFERENTIAL_PROPERTY, false);
+};
+
+// Switch the differential mode, starting from the current modulo
+exports.setDifferential = function(enabled) {
+	Ti.App.Properties.setBool(DIFFERENTIAL_PROPERTY, enabled);
+	differentialBaseline = null;
+	exports.stepIndex = -1;
+	Event.trigger('core.differential.changed', enabled);
+};
+
+// Get the time constant of the differential baseline, in seconds
+exports.getDifferentialTimeConstant = function() {
+	return Ti.App.Properties.getDouble(DIFFERENTIAL_TIME_CONSTANT_PROPERTY, (Alloy.CFG.differential || {}).timeConstant || 5);
+};
+
+exports.setDifferentialTimeConstant = function(seconds) {
+	Ti.App.Properties.setDouble(DIFFERENTIAL_TIME_CONSTANT_PROPERTY, seconds);
+	Event.trigger('core.differential.changed', exports.isDifferential());
 };
 
+// Evaluate the step again with the new profile, or with its titles in the new language
+function onProfilesChanged() {
+	activeProfile = Profiles.getActive();
+	exports.stepIndex = -1;
+}
+
+function onAnomalyModeChanged() {
+	anomalyMode = exports.getAnomalyMode();
+}
+
+function onDifferentialChanged() {
+	isDifferential = exports.isDifferential();
+	differentialTimeConstant = exports.getDifferentialTimeConstant();
+}
+
+Event.on('profiles.changed i18n.changed', onProfilesChanged);
+Event.on('core.anomalyMode.changed', onAnomalyModeChanged);
+Event.on('core.differential.changed', onDifferentialChanged);
+
+onProfilesChanged();
+onAnomalyModeChanged();
+onDifferentialChanged();
+
 // Do not pause location update never. 
 // The user can anyway close the app.
 Ti.Geolocation.pauseLocationUpdateAutomatically = true;
 
 // When the user bring its phone close to a magnetic field,
-// iOS show the calibration control. But we don't want to, so just disable.
+// iOS show the calibration control. But we don't want to, so just disable:
+// we have our own calibration in `controllers/calibration.js`.
 Ti.Geolocation.showCalibration = false;
\ No newline at end of file
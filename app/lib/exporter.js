@@ -0,0 +1,177 @@
+// Exporter module
+// Serializes a recorded session to CSV, JSON or GPX, writes it to a file
+// and hands it to the sharer, so the field data can go into other analysis tools.
+
+var Filesystem = T('filesystem');
+var Sharer = T('sharer');
+
+var Recorder = require('recorder');
+var Units = require('units');
+
+exports.FORMATS = [ 'csv', 'json', 'gpx' ];
+
+// Values are stored in microtesla, exported in the unit in use: the components too,
+// so every intensity of a file is in the same unit
+function convert(value) {
+	return value == null ? null : Units.convert(value);
+}
+
+function escapeXML(str) {
+	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+var serializers = {
+
+	csv: function(session, samples) {
+		var symbol = Units.getUnit().symbol;
+		var lines = [ [ 'timestamp', 'x (' + symbol + ')', 'y (' + symbol + ')', 'z (' + symbol + ')', 'modulo (' + symbol + ')', 'earth_intensity (' + symbol + ')', 'latitude', 'longitude' ].join(',') ];
+
+		_.each(samples, function(s) {
+			lines.push([
+				new Date(s.timestamp).toISOString(),
+				convert(s.x), convert(s.y), convert(s.z),
+				convert(s.modulo),
+				convert(s.earth_intensity),
+				s.latitude, s.longitude
+			].map(function(v) { return v == null ? '' : v; }).join(','));
+		});
+
+		return lines.join('\n') + '\n';
+	},
+
+	json: function(session, samples) {
+		return JSON.stringify({
+			session: {
+				id: session.id,
+				startedAt: new Date(session.started_at).toISOString(),
+				endedAt: session.ended_at ? new Date(session.ended_at).toISOString() : null,
+				latitude: session.latitude,
+				longitude: session.longitude
+			},
+			unit: Units.get(),
+			samples: _.map(samples, function(s) {
+				return {
+					timestamp: new Date(s.timestamp).toISOString(),
+					x: convert(s.x),
+					y: convert(s.y),
+					z: convert(s.z),
+					modulo: convert(s.modulo),
+					earthIntensity: convert(s.earth_intensity),
+					latitude: s.latitude,
+					longitude: s.longitude
+				};
+			})
+		}, null, 2);
+	},
+
+	// Only the samples with a position can become track points.
+	// The intensity is carried in the `magneto` extension namespace.
+	gpx: function(session, samples) {
+		var unit = Units.get();
+		var xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+		xml += '<gpx version="1.1" creator="Magneto" xmlns="http://www.topografix.com/GPX/1/1" xmlns:magneto="http://magneto.uno/xmlschemas/gpx/1">\n';
+		xml += '<trk><name>' + escapeXML(String.format(L('sessions_session'), session.id)) + '</name><trkseg>\n';
+
+		_.each(samples, function(s) {
+			if (s.latitude == null || s.longitude == null) return;
+			xml += '<trkpt lat="' + s.latitude + '" lon="' + s.longitude + '">';
+			xml += '<time>' + new Date(s.timestamp).toISOString() + '</time>';
+			xml += '<extensions><magneto:intensity unit="' + escapeXML(unit) + '">' + convert(s.modulo) + '</magneto:intensity></extensions>';
+			xml += '</trkpt>\n';
+		});
+
+		xml += '</trkseg></trk>\n</gpx>\n';
+		return xml;
+	}
+
+};
+
+// Serialize a session to a string in the specified format
+exports.serialize = function(sessionId, format) {
+	if (serializers[format] == null) throw new Error('Exporter: unknown format <' + format + '>');
+
+	var session = Recorder.getSession(sessionId);
+	if (session == null) throw new Error('Exporter: unknown session <' + sessionId + '>');
+
+	return serializers[format](session, Recorder.getSamples(sessionId));
+};
+
+// Write a session to a file in the app data directory.
+// `opt.success` receives the `Ti.Filesystem.File`.
+exports.write = function(sessionId, format, opt) {
+	opt = _.defaults(opt || {}, {
+		success: Alloy.Globals.noop,
+		error: Alloy.Globals.noop
+	});
+
+	var data;
+	try {
+		data = exports.serialize(sessionId, format);
+	} catch (err) {
+		return opt.error(err);
+	}
+
+	var dir = Ti.Filesystem.getFile(Ti.Filesystem.applicationDataDirectory, 'exports');
+	var file = Ti.Filesystem.getFile(dir.nativePath, 'magneto-session-' + sessionId + '.' + format);
+
+	Filesystem.createDirectory({
+		file: dir,
+		success: function() {
+			Filesystem.write({
+				file: file,
+				data: data,
+				success: function() {
+					opt.success(file);
+				},
+				error: opt.error
+			});
+		},
+		error: opt.error
+	});
+};
+
+// Write a session and share the file, by `email` (as attachment) or with the `document` viewer,
+// that lets the user open the file in another app.
+// `opt.success` is called when the file is in the email or in the viewer.
+exports.share = function(sessionId, format, platform, opt) {
+	opt = _.defaults(opt || {}, {
+		success: Alloy.Globals.noop,
+		error: Alloy.Globals.noop
+	});
+
+	exports.write(sessionId, format, {
+		success: function(file) {
+			var title = String.format(L('sessions_session'), sessionId) + ' (' + format.toUpperCase() + ')';
+
+			if (platform === 'email') {
+				Sharer.email({
+					title: title,
+					text: title,
+					image: file
+				});
+				opt.success(file);
+				return;
+			}
+
+			// The activity sheet of the sharer attaches only images: the document viewer
+			// takes any file, and its menu opens it in the other apps
+			if (!OS_IOS) {
+				return opt.error(new Error('Exporter: the document viewer is not available'));
+			}
+
+			var viewer = Ti.UI.iOS.createDocumentViewer({
+				url: file.nativePath
+			});
+			viewer.addEventListener('load', function() {
+				opt.success(file);
+			});
+
+			try {
+				viewer.show({ animated: true });
+			} catch (err) {
+				opt.error(err);
+			}
+		},
+		error: opt.error
+	});
+};
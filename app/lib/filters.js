@@ -0,0 +1,57 @@
+// Filters module
+// Builds the chain of signal filters applied to the compass readings before the modulo is computed.
+// Every filter is a module in `lib/filters` exporting a `create(options)` factory,
+// that returns an object with `process(vector)` and `reset()`:
+// `process` receives an `{ x, y, z }` vector and must return the filtered one.
+
+// The filters currently in use, in order
+var chain = [];
+
+// Load a filter by name and create an instance with the passed options
+exports.load = function(name, options) {
+	// An unknown filter is skipped, the chain is built with the other ones
+	var Filter = null;
+	try {
+		Filter = require('filters/' + name);
+	} catch (err) {}
+
+	if (Filter == null) {
+		Ti.API.warn('Filters: unable to load filter <' + name + '>');
+		return null;
+	}
+
+	return _.extend({
+		name: name,
+		process: function(vector) { return vector; },
+		reset: function() {}
+	}, Filter.create(options || {}));
+};
+
+// Set the chain of filters.
+// Every definition is the name of a filter or an object with a `name` and the filter options,
+// like `[ 'median', { name: 'lowpass', alpha: 0.2 } ]`.
+exports.setChain = function(definitions) {
+	chain = _.compact(_.map(definitions || [], function(def) {
+		if (_.isString(def)) def = { name: def };
+		return exports.load(def.name, _.omit(def, 'name'));
+	}));
+};
+
+// Get the names of the filters in use
+exports.getChain = function() {
+	return _.pluck(chain, 'name');
+};
+
+// Pass the vector through every filter of the chain
+exports.process = function(vector) {
+	return _.reduce(chain, function(v, filter) {
+		return filter.process(v);
+	}, vector);
+};
+
+// Reset the state of every filter, for example when a new detection starts
+exports.reset = function() {
+	_.invoke(chain, 'reset');
+};
+
+exports.setChain(Alloy.CFG.filters);
@@ -0,0 +1,48 @@
+// Simple Kalman filter
+// A one-dimensional Kalman filter on each axis, modeling the field as a constant value.
+// `q` is the process noise (how fast the field can change), `r` the measurement noise of the sensor.
+
+function createAxis(q, r) {
+	var estimate = null;
+	var error = 1;
+
+	return {
+		update: function(value) {
+			if (estimate == null) {
+				estimate = value;
+				return estimate;
+			}
+
+			// Predict, then correct with the measurement
+			error += q;
+			var gain = error / (error + r);
+			estimate += gain * (value - estimate);
+			error *= (1 - gain);
+
+			return estimate;
+		},
+		reset: function() {
+			estimate = null;
+			error = 1;
+		}
+	};
+}
+
+exports.create = function(opt) {
+	var q = opt.q || 0.05;
+	var r = opt.r || 2;
+	var axes = { x: createAxis(q, r), y: createAxis(q, r), z: createAxis(q, r) };
+
+	return {
+		process: function(vector) {
+			return {
+				x: axes.x.update(vector.x),
+				y: axes.y.update(vector.y),
+				z: axes.z.update(vector.z)
+			};
+		},
+		reset: function() {
+			_.invoke(axes, 'reset');
+		}
+	};
+};
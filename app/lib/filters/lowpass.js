@@ -0,0 +1,26 @@
+// Exponential low-pass filter
+// Each reading moves the output by a fraction `alpha` (0..1) towards the input:
+// lower values smooth more, but react slower.
+
+exports.create = function(opt) {
+	var alpha = opt.alpha || 0.25;
+	var last = null;
+
+	return {
+		process: function(vector) {
+			if (last == null) {
+				last = _.clone(vector);
+			} else {
+				last = {
+					x: last.x + alpha * (vector.x - last.x),
+					y: last.y + alpha * (vector.y - last.y),
+					z: last.z + alpha * (vector.z - last.z)
+				};
+			}
+			return last;
+		},
+		reset: function() {
+			last = null;
+		}
+	};
+};
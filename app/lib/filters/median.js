@@ -0,0 +1,29 @@
+// Median filter
+// Takes the median of the last `size` readings on each axis, removing the isolated spikes.
+
+function median(values) {
+	var sorted = _.sortBy(values, _.identity);
+	var half = sorted.length >> 1;
+	return sorted.length % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2;
+}
+
+exports.create = function(opt) {
+	var size = opt.size || 5;
+	var buffer = [];
+
+	return {
+		process: function(vector) {
+			buffer.push(vector);
+			if (buffer.length > size) buffer.shift();
+
+			return {
+				x: median(_.pluck(buffer, 'x')),
+				y: median(_.pluck(buffer, 'y')),
+				z: median(_.pluck(buffer, 'z'))
+			};
+		},
+		reset: function() {
+			buffer = [];
+		}
+	};
+};
@@ -0,0 +1,23 @@
+// Moving average filter
+// Averages the last `size` readings.
+
+exports.create = function(opt) {
+	var size = opt.size || 5;
+	var buffer = [];
+
+	return {
+		process: function(vector) {
+			buffer.push(vector);
+			if (buffer.length > size) buffer.shift();
+
+			return {
+				x: _.reduce(buffer, function(sum, v) { return sum + v.x; }, 0) / buffer.length,
+				y: _.reduce(buffer, function(sum, v) { return sum + v.y; }, 0) / buffer.length,
+				z: _.reduce(buffer, function(sum, v) { return sum + v.z; }, 0) / buffer.length
+			};
+		},
+		reset: function() {
+			buffer = [];
+		}
+	};
+};
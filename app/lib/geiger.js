@@ -0,0 +1,123 @@
+// Geiger module
+// A continuous audio feedback, like a Geiger counter: the clicks get faster as the level rises,
+// so the user can scan a wall without looking at the screen.
+// The clicks follow the silent switch of the device.
+
+var ENABLED_PROPERTY = 'geiger.enabled';
+var VOLUME_PROPERTY = 'geiger.volume';
+var MUTED_PROPERTY = 'geiger.muted';
+
+var Profiles = require('profiles');
+
+// Clicks per second at zero and at the top of the scale
+var MIN_RATE = 1;
+var MAX_RATE = 30;
+
+var sound = null;
+var timeout = null;
+var isRunning = false;
+
+// The clicks per second for the last reading
+var rate = MIN_RATE;
+
+// The top of the scale, over the last step of the active profile
+var top = 1;
+
+function onProfilesChanged() {
+	top = Math.max(_.last(Profiles.getActive().steps).value * 2, 1);
+}
+
+// Map the level (see `Core.reading`) to the clicks rate, on a logarithmic scale
+// that ends at `top`, to react to weak fields too
+function computeRate(level) {
+	var fraction = Math.min(1, Math.log(1 + Math.max(0, level)) / Math.log(1 + top));
+	return MIN_RATE + fraction * (MAX_RATE - MIN_RATE);
+}
+
+function onReading(reading) {
+	rate = computeRate(reading.level);
+}
+
+// Play a click and schedule the next one. The intervals are random around the rate,
+// as the clicks of a real counter.
+function tick() {
+	if (!exports.isPlaying()) return;
+
+	sound.volume = exports.getVolume();
+	sound.stop();
+	sound.play();
+
+	timeout = setTimeout(tick, -Math.log(1 - Math.random()) * 1000 / rate);
+}
+
+// Start or stop the clicks according to the settings
+function update() {
+	clearTimeout(timeout);
+	timeout = null;
+
+	if (exports.isPlaying()) {
+		if (sound == null) {
+			// The ambient category mixes with other audio and respects the silent switch
+			Ti.Media.audioSessionCategory = Ti.Media.AUDIO_SESSION_CATEGORY_AMBIENT;
+			sound = Ti.Media.createSound({ url: 'fx/click.wav' });
+		}
+		tick();
+	}
+}
+
+exports.isEnabled = function() {
+	return Ti.App.Properties.getBool(ENABLED_PROPERTY, false);
+};
+
+exports.setEnabled = function(enabled) {
+	Ti.App.Properties.setBool(ENABLED_PROPERTY, enabled);
+	Event.trigger('geiger.changed');
+	update();
+};
+
+// Get the volume, from 0 to 1
+exports.getVolume = function() {
+	return Ti.App.Properties.getDouble(VOLUME_PROPERTY, 0.8);
+};
+
+exports.setVolume = function(volume) {
+	Ti.App.Properties.setDouble(VOLUME_PROPERTY, Math.max(0, Math.min(1, volume)));
+	Event.trigger('geiger.changed');
+};
+
+// The mute silences every sound of the detection, the step ones too
+exports.isMuted = function() {
+	return Ti.App.Properties.getBool(MUTED_PROPERTY, false);
+};
+
+exports.setMuted = function(muted) {
+	Ti.App.Properties.setBool(MUTED_PROPERTY, muted);
+	Event.trigger('geiger.changed');
+	update();
+};
+
+// Tell if the clicks are playing now
+exports.isPlaying = function() {
+	return isRunning && exports.isEnabled() && !exports.isMuted();
+};
+
+// Follow the readings while detecting
+exports.start = function() {
+	if (isRunning) return;
+	isRunning = true;
+	rate = MIN_RATE;
+
+	onProfilesChanged();
+	Event.on('profiles.changed', onProfilesChanged);
+	Event.on('core.reading', onReading);
+	update();
+};
+
+exports.stop = function() {
+	if (!isRunning) return;
+	isRunning = false;
+
+	Event.off('profiles.changed', onProfilesChanged);
+	Event.off('core.reading', onReading);
+	update();
+};
@@ -0,0 +1,160 @@
+// Haptics module
+// Every step of a profile can define its haptic feedback: a pattern of pulses and pauses,
+// or a continuous rhythm that gets faster as the level rises.
+// Where the fine control of the Taptic Engine is not available, every pulse
+// falls back on the standard vibration, dropping the ones too close to the previous.
+
+var STRENGTH_PROPERTY = 'haptics.strength';
+
+// The patterns a step can use, as `[ pulse, pause, pulse, ... ]` durations in ms.
+// `rhythm` has no pattern: it pulses continuously while the step lasts.
+exports.PATTERNS = {
+	tap: [ 40 ],
+	double: [ 40, 120, 40 ],
+	triple: [ 40, 100, 40, 100, 40 ],
+	long: [ 400 ],
+	heartbeat: [ 60, 100, 120 ]
+};
+exports.RHYTHM = 'rhythm';
+
+exports.STRENGTHS = [ 'off', 'light', 'medium', 'strong' ];
+
+// The standard vibration lasts about this time, and can't be shortened
+var VIBRATION_DURATION = 400;
+
+// The intervals of the rhythm, in ms, from the threshold of the step to its fourfold
+var RHYTHM_SLOWEST = 1000;
+var RHYTHM_FASTEST = 150;
+
+var FEEDBACK_CAPABLE = (OS_IOS && _.isFunction(Ti.UI.iOS.createFeedbackGenerator));
+
+var generator = null;
+var generatorStyle = null;
+var timeouts = [];
+var lastVibrationTimestamp = 0;
+var isRunning = false;
+
+// The step in use, and the last level for the rhythm
+var step = null;
+var level = 0;
+
+function getGenerator() {
+	var style = {
+		light: Ti.UI.iOS.FEEDBACK_GENERATOR_IMPACT_STYLE_LIGHT,
+		medium: Ti.UI.iOS.FEEDBACK_GENERATOR_IMPACT_STYLE_MEDIUM,
+		strong: Ti.UI.iOS.FEEDBACK_GENERATOR_IMPACT_STYLE_HEAVY
+	}[exports.getStrength()];
+
+	if (generator == null || generatorStyle !== style) {
+		generatorStyle = style;
+		generator = Ti.UI.iOS.createFeedbackGenerator({
+			type: Ti.UI.iOS.FEEDBACK_GENERATOR_TYPE_IMPACT,
+			style: style
+		});
+	}
+	return generator;
+}
+
+function pulse() {
+	if (FEEDBACK_CAPABLE) {
+		getGenerator().impactOccurred();
+		return;
+	}
+
+	// The standard vibration has no strength, so with the light one we only vibrate
+	// when the previous is over for a while
+	var minInterval = exports.getStrength() === 'light' ? VIBRATION_DURATION * 2 : VIBRATION_DURATION;
+	if (Date.now() - lastVibrationTimestamp < minInterval) return;
+
+	lastVibrationTimestamp = Date.now();
+	Ti.Media.vibrate();
+}
+
+function cancel() {
+	_.each(timeouts, clearTimeout);
+	timeouts = [];
+}
+
+// Play a pattern of pulses and pauses
+exports.play = function(pattern) {
+	cancel();
+	if (exports.getStrength() === 'off') return;
+
+	if (OS_ANDROID) {
+		// Android supports the patterns natively, starting with a delay
+		Ti.Media.vibrate([ 0 ].concat(pattern));
+		return;
+	}
+
+	var time = 0;
+	_.each(pattern, function(duration, k) {
+		if (k % 2 === 0) {
+			timeouts.push(setTimeout(pulse, time));
+		}
+		time += duration;
+	});
+};
+
+// Get the haptic of a step, supporting the profiles with the old `vibrate` flag
+exports.getStepHaptic = function(s) {
+	if (s.haptic !== undefined) return s.haptic;
+	return s.vibrate ? 'tap' : null;
+};
+
+// Pulse with an interval that shortens as the level goes over the threshold of the step
+function rhythm() {
+	if (step == null || exports.getStepHaptic(step) !== exports.RHYTHM) return;
+
+	var ratio = Math.min(4, Math.max(1, level / Math.max(step.value, 1)));
+	var interval = RHYTHM_SLOWEST - (ratio - 1) / 3 * (RHYTHM_SLOWEST - RHYTHM_FASTEST);
+
+	if (exports.getStrength() !== 'off') pulse();
+	timeouts = [ setTimeout(rhythm, interval) ];
+}
+
+function onStepChanged(e) {
+	step = e.step;
+	level = e.reading.level;
+
+	var haptic = exports.getStepHaptic(step);
+	if (haptic === exports.RHYTHM) {
+		cancel();
+		rhythm();
+	} else if (haptic != null && exports.PATTERNS[haptic] != null) {
+		exports.play(exports.PATTERNS[haptic]);
+	} else {
+		cancel();
+	}
+}
+
+function onReading(reading) {
+	level = reading.level;
+}
+
+exports.getStrength = function() {
+	return Ti.App.Properties.getString(STRENGTH_PROPERTY, 'medium');
+};
+
+exports.setStrength = function(strength) {
+	Ti.App.Properties.setString(STRENGTH_PROPERTY, strength);
+	Event.trigger('haptics.changed');
+};
+
+// Follow the steps while detecting
+exports.start = function() {
+	if (isRunning) return;
+	isRunning = true;
+
+	Event.on('core.step.changed', onStepChanged);
+	Event.on('core.reading', onReading);
+};
+
+exports.stop = function() {
+	if (!isRunning) return;
+	isRunning = false;
+
+	Event.off('core.step.changed', onStepChanged);
+	Event.off('core.reading', onReading);
+	cancel();
+	step = null;
+};
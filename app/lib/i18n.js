@@ -0,0 +1,63 @@
+// I18n module
+// The strings of the app are in `i18n/<language>/strings.xml`, and the native `L` resolves them
+// in the language of the system. When the user chooses another language, the global `L`
+// looks them up in `i18n/<language>.json`, copied from the same file by `alloy.jmk`.
+// The `titleid` and `textid` attributes are resolved natively, ignoring this module:
+// the views must use `title="L('key')"` and `text="L('key')"` instead.
+
+var PROPERTY = 'i18n.language';
+
+// The languages we ship, in `i18n/`
+exports.LANGUAGES = [ 'en', 'it' ];
+
+var systemL = L;
+var systemLanguage = Ti.Locale.currentLanguage.split(/[-_]/)[0];
+
+// The strings of the language chosen by the user, null to use the native ones
+var strings = null;
+
+// Get the language chosen by the user, an empty string to follow the system
+exports.getLanguage = function() {
+	return Ti.App.Properties.getString(PROPERTY, '');
+};
+
+// Get the language in use
+exports.getCurrentLanguage = function() {
+	var language = exports.getLanguage();
+	return _.contains(exports.LANGUAGES, language) ? language : systemLanguage;
+};
+
+// Load the strings of the language in use, if it isn't the one of the system
+exports.apply = function() {
+	var language = exports.getCurrentLanguage();
+	strings = null;
+	if (language === systemLanguage) return;
+
+	var file = Ti.Filesystem.getFile(Ti.Filesystem.resourcesDirectory, 'i18n', language + '.json');
+	if (!file.exists()) {
+		Ti.API.warn('I18n: missing strings for ' + language);
+		return;
+	}
+
+	try {
+		strings = JSON.parse(file.read().text);
+	} catch (err) {
+		Ti.API.error('I18n: invalid strings for ' + language, err);
+	}
+};
+
+// Change the language and tell the controllers to show it
+exports.setLanguage = function(language) {
+	Ti.App.Properties.setString(PROPERTY, language);
+	exports.apply();
+	Event.trigger('i18n.changed', exports.getCurrentLanguage());
+};
+
+// Every `L` call, in the controllers, in the styles and in the `L()` attributes of the views,
+// looks up the language in use, and falls back to the native strings for the missing keys.
+L = function(key, hint) {
+	if (strings != null && strings[key] != null) return strings[key];
+	return systemL(key, hint);
+};
+
+exports.apply();
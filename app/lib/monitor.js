@@ -0,0 +1,140 @@
+// Monitor module
+// Keeps detecting while the app is in the background, and fires a local notification
+// when the field crosses the threshold chosen by the user.
+// To protect the battery the notifications are rate limited, and the monitoring
+// stops by itself after a timeout.
+
+var Notifications = T('notifications');
+var Units = require('units');
+
+var ENABLED_PROPERTY = 'monitor.enabled';
+var THRESHOLD_PROPERTY = 'monitor.threshold';
+
+// `threshold` is the default one, in µT. `minInterval` is the minimum time
+// between two notifications, `timeout` the max duration of the monitoring, in ms.
+exports.config = _.extend({
+	threshold: 50,
+	minInterval: 60000,
+	timeout: 600000
+}, Alloy.CFG.monitor);
+
+// The thresholds selectable by the user, in µT
+exports.THRESHOLDS = [ 10, 25, 50, 100, 250, 500 ];
+
+var isMonitoring = false;
+var isOverThreshold = false;
+var lastNotificationTimestamp = 0;
+var timeout = null;
+
+// The setting of Core, restored when the monitoring stops
+var pauseLocationUpdateAutomatically = null;
+
+// The location updates keep the app alive in the background
+function keepAlive() {}
+
+function notify(reading) {
+	lastNotificationTimestamp = reading.timestamp;
+
+	Ti.App.iOS.scheduleLocalNotification({
+		date: new Date(),
+		alertBody: String.format(L('monitor_notification'), Units.format(reading.modulo, true)),
+		sound: 'default',
+		userInfo: {
+			route: '/home'
+		}
+	});
+	Notifications.incBadge(1);
+}
+
+// Notify only when the field goes over the threshold, not while it stays there
+function onReading(reading) {
+	var isOver = reading.modulo >= exports.getThreshold();
+
+	if (isOver && !isOverThreshold && reading.timestamp - lastNotificationTimestamp >= exports.config.minInterval) {
+		notify(reading);
+	}
+
+	isOverThreshold = isOver;
+}
+
+exports.isEnabled = function() {
+	return Ti.App.Properties.getBool(ENABLED_PROPERTY, false);
+};
+
+// Enable or disable the monitoring, asking the permission to show the notifications
+exports.setEnabled = function(enabled) {
+	Ti.App.Properties.setBool(ENABLED_PROPERTY, enabled);
+
+	if (enabled) {
+		Ti.App.iOS.registerUserNotificationSettings({
+			types: [ Ti.App.iOS.USER_NOTIFICATION_TYPE_ALERT, Ti.App.iOS.USER_NOTIFICATION_TYPE_SOUND, Ti.App.iOS.USER_NOTIFICATION_TYPE_BADGE ]
+		});
+	}
+
+	Event.trigger('monitor.changed');
+};
+
+// Get the threshold, in µT
+exports.getThreshold = function() {
+	return Ti.App.Properties.getDouble(THRESHOLD_PROPERTY, exports.config.threshold);
+};
+
+exports.setThreshold = function(value) {
+	Ti.App.Properties.setDouble(THRESHOLD_PROPERTY, value);
+	Event.trigger('monitor.changed');
+};
+
+exports.isMonitoring = function() {
+	return isMonitoring;
+};
+
+// Start to monitor the readings, until `stop` is called or the timeout expires
+exports.start = function() {
+	if (isMonitoring) return;
+	if (!Core.startDetection()) return;
+
+	isMonitoring = true;
+	isOverThreshold = false;
+
+	// iOS pauses the location updates when the user stands still, as while scanning a wall,
+	// and then suspends the app: keep them going
+	pauseLocationUpdateAutomatically = Ti.Geolocation.pauseLocationUpdateAutomatically;
+	Ti.Geolocation.pauseLocationUpdateAutomatically = false;
+	Ti.Geolocation.allowsBackgroundLocationUpdates = true;
+	Ti.Geolocation.addEventListener('location', keepAlive);
+
+	Event.on('core.reading', onReading);
+
+	timeout = setTimeout(exports.stop, exports.config.timeout);
+};
+
+exports.stop = function() {
+	if (!isMonitoring) return;
+	isMonitoring = false;
+
+	clearTimeout(timeout);
+	timeout = null;
+
+	Event.off('core.reading', onReading);
+	Core.stopDetection();
+
+	Ti.Geolocation.removeEventListener('location', keepAlive);
+	Ti.Geolocation.allowsBackgroundLocationUpdates = false;
+	Ti.Geolocation.pauseLocationUpdateAutomatically = pauseLocationUpdateAutomatically;
+
+	// The user has seen the alerts, or the monitoring is over
+	Notifications.resetBadge();
+};
+
+// Monitor while the app is in the background
+Ti.App.addEventListener('paused', function() {
+	if (exports.isEnabled()) exports.start();
+});
+Ti.App.addEventListener('resumed', exports.stop);
+
+// Tapping the notification brings the user back to the route
+Ti.App.iOS.addEventListener('notification', function(e) {
+	if (e.userInfo != null && e.userInfo.route != null) {
+		Router.go(e.userInfo.route);
+	}
+});
@@ -0,0 +1,43 @@
+// Orientation module
+// Follows the gravity with the accelerometer, so we know how the device is held.
+// The gravity is in the device frame (x to the right, y to the top, z out of the screen), in g,
+// and points down: `{ x: 0, y: 0, z: -1 }` when the device lies on a table.
+
+// Smoothing factor of the low-pass filter that removes the movements of the hand
+var ALPHA = 0.2;
+
+var gravity = null;
+var isRunning = false;
+
+function onUpdate(e) {
+	if (gravity == null) {
+		gravity = { x: e.x, y: e.y, z: e.z };
+	} else {
+		gravity = {
+			x: gravity.x + ALPHA * (e.x - gravity.x),
+			y: gravity.y + ALPHA * (e.y - gravity.y),
+			z: gravity.z + ALPHA * (e.z - gravity.z)
+		};
+	}
+}
+
+// Get the last gravity vector, null if not known yet
+exports.getGravity = function() {
+	return gravity;
+};
+
+exports.start = function() {
+	if (isRunning) return;
+	isRunning = true;
+
+	gravity = null;
+	Ti.Accelerometer.addEventListener('update', onUpdate);
+};
+
+exports.stop = function() {
+	if (!isRunning) return;
+	isRunning = false;
+
+	Ti.Accelerometer.removeEventListener('update', onUpdate);
+	gravity = null;
+};
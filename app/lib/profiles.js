@@ -0,0 +1,158 @@
+// Profiles module
+// A detection profile defines the steps (from min to max) that drive the UI and the behaviours
+// while detecting. Profiles are stored in the app properties, so the user can create and edit them.
+
+var PROPERTY = 'profiles';
+var ACTIVE_PROPERTY = 'profiles.active';
+
+// The sounds that a step can play
+exports.SOUNDS = [ 'fx/warn.mp3', 'fx/wtf.mp3' ];
+
+// The profiles installed on first use.
+// The haptic of a step is a key of `Haptics.PATTERNS`, `Haptics.RHYTHM` or null.
+// `nameid` and `titleid` are the localized strings of the name and of the titles,
+// used until the user changes them.
+var DEFAULTS = [
+{
+	id: 'default',
+	name: 'Default',
+	nameid: 'profile_default',
+	steps: [
+	{ value: 0, backgroundColor: '#2ECC71', title: 'LOW', titleid: 'step_low', haptic: null, sound: null },
+	{ value: 40, backgroundColor: '#F1C40F', title: 'MEDIUM', titleid: 'step_medium', haptic: 'tap', sound: 'fx/warn.mp3' },
+	{ value: 400, backgroundColor: '#F75F21', title: 'HIGH', titleid: 'step_high', haptic: 'rhythm', sound: 'fx/wtf.mp3' }
+	]
+},
+{
+	id: 'stud',
+	name: 'Stud finder',
+	nameid: 'profile_stud',
+	steps: [
+	{ value: 0, backgroundColor: '#2ECC71', title: 'NOTHING', titleid: 'step_nothing', haptic: null, sound: null },
+	{ value: 15, backgroundColor: '#F1C40F', title: 'CLOSE', titleid: 'step_close', haptic: 'tap', sound: null },
+	{ value: 60, backgroundColor: '#F75F21', title: 'STUD', titleid: 'step_stud', haptic: 'double', sound: 'fx/warn.mp3' }
+	]
+},
+{
+	id: 'metal',
+	name: 'Metal detector',
+	nameid: 'profile_metal',
+	steps: [
+	{ value: 0, backgroundColor: '#2ECC71', title: 'NOTHING', titleid: 'step_nothing', haptic: null, sound: null },
+	{ value: 5, backgroundColor: '#3498DB', title: 'WEAK', titleid: 'step_weak', haptic: null, sound: null },
+	{ value: 20, backgroundColor: '#F1C40F', title: 'METAL', titleid: 'step_metal', haptic: 'double', sound: 'fx/warn.mp3' },
+	{ value: 80, backgroundColor: '#F75F21', title: 'STRONG', titleid: 'step_strong', haptic: 'rhythm', sound: 'fx/wtf.mp3' }
+	]
+},
+{
+	id: 'speaker',
+	name: 'Speaker magnet',
+	nameid: 'profile_speaker',
+	steps: [
+	{ value: 0, backgroundColor: '#2ECC71', title: 'FAR', titleid: 'step_far', haptic: null, sound: null },
+	{ value: 100, backgroundColor: '#F1C40F', title: 'NEAR', titleid: 'step_near', haptic: 'heartbeat', sound: 'fx/warn.mp3' },
+	{ value: 1000, backgroundColor: '#F75F21', title: 'MAGNET', titleid: 'step_magnet', haptic: 'rhythm', sound: 'fx/wtf.mp3' }
+	]
+}
+];
+
+var profiles = Ti.App.Properties.getList(PROPERTY, null) || _.deepClone(DEFAULTS);
+
+function persist() {
+	Ti.App.Properties.setList(PROPERTY, profiles);
+	Event.trigger('profiles.changed');
+}
+
+function find(id) {
+	return _.findWhere(profiles, { id: id });
+}
+
+// Return a copy of the profile with the name and the titles in the language in use
+function localize(profile) {
+	if (profile == null) return null;
+
+	profile = _.deepClone(profile);
+	if (profile.nameid != null) profile.name = L(profile.nameid, profile.name);
+	_.each(profile.steps, function(step) {
+		if (step.titleid != null) step.title = L(step.titleid, step.title);
+	});
+	return profile;
+}
+
+// Get all the profiles
+exports.getAll = function() {
+	return _.map(profiles, localize);
+};
+
+// Get a profile by its id
+exports.get = function(id) {
+	return localize(find(id));
+};
+
+// Get the profile used while detecting, falling back on the first one
+exports.getActive = function() {
+	return localize(find(Ti.App.Properties.getString(ACTIVE_PROPERTY, '')) || profiles[0]);
+};
+
+exports.setActive = function(id) {
+	Ti.App.Properties.setString(ACTIVE_PROPERTY, id);
+	Event.trigger('profiles.changed');
+};
+
+// Return a new profile, not saved yet, with the steps of the default one
+exports.create = function() {
+	return {
+		id: Util.guid(),
+		name: '',
+		steps: localize(DEFAULTS[0]).steps
+	};
+};
+
+// Create or update a profile. The steps are sorted by value.
+exports.save = function(profile) {
+	if (_.isEmpty(profile.name)) throw new Error(L('profiles_error_name'));
+	if (_.isEmpty(profile.steps)) throw new Error(L('profiles_error_steps'));
+
+	profile.steps = _.sortBy(profile.steps, 'value');
+
+	// The strings changed by the user are not localized anymore
+	if (profile.nameid != null && profile.name !== L(profile.nameid, profile.name)) delete profile.nameid;
+	_.each(profile.steps, function(step) {
+		if (step.titleid != null && step.title !== L(step.titleid, step.title)) delete step.titleid;
+	});
+
+	var index = _.indexOf(profiles, find(profile.id));
+	if (index === -1) {
+		profiles.push(profile);
+	} else {
+		profiles[index] = profile;
+	}
+
+	persist();
+};
+
+// Remove a profile, keeping at least one
+exports.remove = function(id) {
+	if (profiles.length === 1) throw new Error(L('profiles_error_last'));
+
+	profiles = _.reject(profiles, function(p) { return p.id === id; });
+	persist();
+};
+
+// Restore the profiles installed on first use
+exports.restoreDefaults = function() {
+	profiles = _.deepClone(DEFAULTS);
+	Ti.App.Properties.removeProperty(ACTIVE_PROPERTY);
+	persist();
+};
+
+// Return the index of the max step reached by the value
+exports.getStepIndex = function(profile, value) {
+	var index = 0;
+	_.each(profile.steps, function(step, k) {
+		if (value >= step.value) {
+			index = +k;
+		}
+	});
+	return index;
+};
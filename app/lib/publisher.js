@@ -0,0 +1,103 @@
+// Publisher module
+// Sends the geotagged readings to the community map.
+// When the device is offline (or the server is unavailable) the reading is stored in a persistent
+// queue, that is flushed as soon as the connectivity comes back.
+// The readings refused by the server are never queued, as they would be refused again.
+
+var PROPERTY = 'publisher.queue';
+
+var queue = Ti.App.Properties.getList(PROPERTY, []);
+var isFlushing = false;
+
+function persist() {
+	Ti.App.Properties.setList(PROPERTY, queue);
+	Event.trigger('publisher.queue.changed', queue.length);
+}
+
+function send(reading) {
+	return HTTP.postJSON('/api', _.extend({ method: 'addRequest' }, reading));
+}
+
+// Tell if a failed request is worth retrying: the network errors have no status code,
+// the 5xx ones are temporary, the 4xx ones mean that the server refused the reading
+function isRetriable(err) {
+	return err == null || !err.code || err.code >= 500;
+}
+
+// Get the number of readings waiting to be sent
+exports.getQueueLength = function() {
+	return queue.length;
+};
+
+// Publish a reading: `modulo` is in microtesla, the position is attached here.
+// The callbacks receive `{ queued: true }` when the reading goes in the queue,
+// and `error` receives `{ rejected: true }` when the server refuses it.
+exports.publish = function(modulo, opt) {
+	opt = _.defaults(opt || {}, {
+		success: Alloy.Globals.noop,
+		error: Alloy.Globals.noop
+	});
+
+	Geo.getCurrentPosition({
+		success: function(coords) {
+			var reading = {
+				latitude: coords.latitude,
+				longitude: coords.longitude,
+				modulo: modulo,
+				timestamp: Date.now()
+			};
+
+			var enqueue = function() {
+				queue.push(reading);
+				persist();
+				opt.success({ queued: true });
+			};
+
+			if (!Ti.Network.online) return enqueue();
+
+			send(reading)
+			.then(function() {
+				opt.success({ queued: false });
+			})
+			.fail(function(err) {
+				if (isRetriable(err)) return enqueue();
+
+				Ti.API.warn('Publisher: reading rejected by the server', err);
+				opt.error(_.extend({ rejected: true }, err));
+			});
+		},
+		error: opt.error
+	});
+};
+
+// Send every reading in the queue, in order, stopping at the first failure
+// that can be retried; the readings refused by the server are dropped
+exports.flush = function() {
+	if (isFlushing || queue.length === 0 || !Ti.Network.online) return;
+	isFlushing = true;
+
+	send(queue[0])
+	.then(function() {
+		queue.shift();
+		persist();
+		isFlushing = false;
+		exports.flush();
+	})
+	.fail(function(err) {
+		isFlushing = false;
+		if (isRetriable(err)) return;
+
+		Ti.API.warn('Publisher: queued reading rejected by the server, dropping it', err);
+		queue.shift();
+		persist();
+		exports.flush();
+	});
+};
+
+// Flush when the connectivity comes back, and every time the app is resumed
+Ti.Network.addEventListener('change', function(e) {
+	if (e.online) exports.flush();
+});
+Ti.App.addEventListener('resumed', exports.flush);
+
+exports.flush();
@@ -0,0 +1,143 @@
+// Recorder module
+// Stores every reading of a detection session as a time series in a local SQLite database,
+// so we can compare the readings after the fact.
+
+var SQLite = require('T/sqlite');
+
+var db = new SQLite('magneto');
+
+db.execute('CREATE TABLE IF NOT EXISTS sessions (id INTEGER PRIMARY KEY AUTOINCREMENT, started_at INTEGER, ended_at INTEGER, latitude REAL, longitude REAL)');
+db.execute('CREATE TABLE IF NOT EXISTS samples (id INTEGER PRIMARY KEY AUTOINCREMENT, session_id INTEGER, timestamp INTEGER, x REAL, y REAL, z REAL, modulo REAL, earth_intensity REAL, latitude REAL, longitude REAL)');
+db.execute('CREATE INDEX IF NOT EXISTS samples_session_id ON samples (session_id)');
+
+// The id of the session currently recorded, null if we are not recording
+exports.sessionId = null;
+
+// Last known position of the user, attached to every sample
+var position = null;
+
+// The samples waiting to be written: the readings arrive far too often
+// to write them one by one, so they are written in a single transaction
+var FLUSH_INTERVAL = 1000;
+var buffer = [];
+var flushTimeout = null;
+
+// Follow the user while recording, so every sample has the position where it was taken
+function onLocation(e) {
+	if (e.success === false || e.coords == null) return;
+	position = e.coords;
+}
+
+// Write the buffered samples
+function flush() {
+	clearTimeout(flushTimeout);
+	flushTimeout = null;
+	if (buffer.length === 0) return;
+
+	var samples = buffer;
+	buffer = [];
+
+	db.execute('BEGIN TRANSACTION');
+	_.each(samples, function(sample) {
+		db.table('samples').insert(sample).execute();
+	});
+	db.execute('COMMIT');
+}
+
+// Tell if a session is currently open
+exports.isRecording = function() {
+	return exports.sessionId != null;
+};
+
+// Open a new session and start to accept samples.
+// The position is retrieved asynchronously, and then followed while the session is open:
+// samples stored before the first fix are saved without it.
+exports.start = function() {
+	if (exports.isRecording()) exports.stop();
+
+	position = null;
+
+	db.table('sessions').insert({
+		started_at: Date.now()
+	}).execute();
+	exports.sessionId = db.db.lastInsertRowId;
+
+	var sessionId = exports.sessionId;
+	Geo.getCurrentPosition({
+		success: function(coords) {
+			// The session could be already closed when the position arrives
+			if (sessionId !== exports.sessionId) return;
+
+			if (position == null) position = coords;
+			db.table('sessions').update({
+				latitude: coords.latitude,
+				longitude: coords.longitude
+			}).where('id', sessionId).execute();
+		}
+	});
+
+	Ti.Geolocation.addEventListener('location', onLocation);
+
+	return exports.sessionId;
+};
+
+// Store a single sample in the current session.
+// The sample is the reading that Core computes from the compass data.
+exports.add = function(sample) {
+	if (!exports.isRecording()) return;
+
+	buffer.push({
+		session_id: exports.sessionId,
+		timestamp: sample.timestamp,
+		x: sample.x,
+		y: sample.y,
+		z: sample.z,
+		modulo: sample.modulo,
+		earth_intensity: sample.earthIntensity,
+		latitude: position != null ? position.latitude : null,
+		longitude: position != null ? position.longitude : null
+	});
+
+	if (flushTimeout == null) {
+		flushTimeout = setTimeout(flush, FLUSH_INTERVAL);
+	}
+};
+
+// Close the current session
+exports.stop = function() {
+	if (!exports.isRecording()) return;
+
+	Ti.Geolocation.removeEventListener('location', onLocation);
+	flush();
+
+	db.table('sessions').update({
+		ended_at: Date.now()
+	}).where('id', exports.sessionId).execute();
+
+	exports.sessionId = null;
+	position = null;
+};
+
+// Get all recorded sessions, the newest first
+exports.getSessions = function() {
+	return db.table('sessions').order('started_at', 'DESC').all();
+};
+
+// Get a single session by its id
+exports.getSession = function(id) {
+	return db.table('sessions').where('id', id).single();
+};
+
+// Get the samples of a session, in chronological order
+exports.getSamples = function(id) {
+	// Include the samples of the open session not written yet
+	if (id === exports.sessionId) flush();
+
+	return db.table('samples').where('session_id', id).order('timestamp', 'ASC').all();
+};
+
+// Remove a session with all its samples
+exports.removeSession = function(id) {
+	db.table('samples').where('session_id', id).delete().execute();
+	db.table('sessions').where('id', id).delete().execute();
+};
@@ -2,9 +2,17 @@
 // Please read here https://github.com/trimethyl/trimethyl/wiki/Router
 // to understand how it works, but I think that is very straightforward.
 
+var Units = require('units');
+
 // Home boot route
 Router.on('/home', function() {
 
+	// When the home is already open, just go back to it (for example from a notification)
+	if (Alloy.Globals.homeDispatchedAtLeastOnce) {
+		Flow.closeAllWindowsExceptFirst();
+		return;
+	}
+
 	// Do not dispatch multiple times
 	Alloy.Globals.homeDispatchedAtLeastOnce = true;
 
@@ -19,7 +27,8 @@ Router.on('/home', function() {
 Router.on(/^\/share\/(\w+)/, function(platform) {
 
 	// You can always access to current query information using the this object,
-	// and the `this.queryKey` object are the parameters specifed in the request
+	// and the `this.queryKey` object are the parameters specifed in the request.
+	// The modulo is in microtesla, as the server expects it: only the text uses the unit of the user
 	var modulo = this.queryKey.modulo;
 
 	// We simply wrote the share API in this way, no reason in the project to explain why
@@ -28,6 +37,7 @@ Router.on(/^\/share\/(\w+)/, function(platform) {
 
 	// Call dinamically the sharing method passing the URL
 	T('sharer')[ platform ]({
+		text: String.format(L('share_text'), Units.format(parseFloat(modulo), true)),
 		url: url
 	});
 
@@ -39,4 +49,69 @@ Router.on('/map', function() {
 	// and the window will be popped in the global navigation controller
 	Flow.open('map', this.queryKey, null, this.source);
 
+});
+
+Router.on('/calibration', function() {
+
+	// Guide the user in the compass calibration
+	Flow.open('calibration', this.queryKey, null, this.source);
+
+});
+
+Router.on('/vector', function() {
+
+	// Show the direction of the magnetic anomaly
+	Flow.open('vector', this.queryKey, null, this.source);
+
+});
+
+Router.on('/profiles', function() {
+
+	// List the detection profiles
+	Flow.open('profiles', this.queryKey, null, this.source);
+
+});
+
+Router.on('/profile', function() {
+
+	// Edit the profile passed as `id`, or create a new one
+	Flow.open('profile', this.queryKey, null, this.source);
+
+});
+
+Router.on('/chart', function() {
+
+	// Show the field intensity over time
+	Flow.open('chart', this.queryKey, null, this.source);
+
+});
+
+Router.on('/sessions', function() {
+
+	// List the recorded sessions, to export them
+	Flow.open('sessions', this.queryKey, null, this.source);
+
+});
+
+Router.on('/earth', function() {
+
+	// Explain the earth magnetic field at the user location
+	Flow.open('earth', this.queryKey, null, this.source);
+
+});
+
+Router.on('/settings', function() {
+
+	// Units, profiles and calibration
+	Flow.open('settings', this.queryKey, null, this.source);
+
+});
+
+// Switch the source of the readings, in this form: `/sensor/replay?sessionId=2`
+// or `/sensor/simulator?scenario=steps` to play a scenario of `assets/scenarios`.
+// Useful as `bootDebugRoute` in the config.json file.
+Router.on(/^\/sensor\/(\w+)/, function(name) {
+
+	Core.setSensor(name, this.queryKey);
+
 });
\ No newline at end of file
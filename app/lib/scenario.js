@@ -0,0 +1,109 @@
+// Scenario module
+// Deterministic scripts for the simulator, stored as JSON in `assets/scenarios`:
+//
+//     {
+//       "rate": 10,            // samples per second
+//       "seed": 42,            // seed of the noise, same seed same readings
+//       "loop": true,
+//       "relative": true,      // values are added to the earth intensity
+//       "segments": [
+//         { "type": "plateau", "duration": 2, "value": 0 },
+//         { "type": "ramp", "duration": 5, "from": 0, "to": 500 },
+//         { "type": "spike", "duration": 0.5, "value": 800 },
+//         { "type": "noise", "duration": 3, "value": 20, "amplitude": 5 }
+//       ]
+//     }
+//
+// Every segment accepts a `noise` amplitude too. Values are in microtesla.
+
+// A small seeded pseudo-random generator (mulberry32), returning values in 0..1
+function createRandom(seed) {
+	var state = seed >>> 0;
+	return function() {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Compute the value of a segment at `t` seconds from its start;
+// `previous` is the value at the end of the previous segment
+function segmentValue(segment, t, previous) {
+	var progress = segment.duration > 0 ? Math.min(1, t / segment.duration) : 1;
+
+	switch (segment.type) {
+		case 'ramp':
+		return segment.from + (segment.to - segment.from) * progress;
+
+		// A triangular pulse from the previous value to the peak and back
+		case 'spike':
+		return previous + (segment.value - previous) * (1 - Math.abs(2 * progress - 1));
+
+		case 'plateau':
+		case 'noise':
+		return segment.value;
+
+		default:
+		throw new Error('Scenario: unknown segment type <' + segment.type + '>');
+	}
+}
+
+function segmentEndValue(segment, previous) {
+	return segment.type === 'spike' ? previous : segmentValue(segment, segment.duration, previous);
+}
+
+// Load a scenario by name from the resources
+exports.load = function(name) {
+	var file = Ti.Filesystem.getFile(Ti.Filesystem.resourcesDirectory, 'scenarios/' + name + '.json');
+	if (!file.exists()) throw new Error('Scenario: not found <' + name + '>');
+
+	return JSON.parse(file.read().text);
+};
+
+// Create a player for the scenario: every call of `next` returns the following magnitude
+exports.create = function(scenario) {
+	var rate = scenario.rate || 10;
+	var totalDuration = _.reduce(scenario.segments, function(sum, s) { return sum + s.duration; }, 0);
+	var random, tick;
+
+	var player = {
+		rate: rate,
+		loop: scenario.loop !== false,
+		relative: !!scenario.relative,
+
+		reset: function() {
+			random = createRandom(scenario.seed || 1);
+			tick = 0;
+		},
+
+		// Return null when the scenario is over (and not looping)
+		next: function() {
+			var t = tick / rate;
+			if (t >= totalDuration) {
+				if (!player.loop) return null;
+				t = t % totalDuration;
+			}
+			tick++;
+
+			var previous = 0;
+			var start = 0;
+			for (var i = 0; i < scenario.segments.length; i++) {
+				var segment = scenario.segments[i];
+				if (t < start + segment.duration) {
+					var value = segmentValue(segment, t - start, previous);
+					var amplitude = segment.type === 'noise' ? (segment.amplitude || 0) : (segment.noise || 0);
+					return value + amplitude * (2 * random() - 1);
+				}
+				previous = segmentEndValue(segment, previous);
+				start += segment.duration;
+			}
+
+			return previous;
+		}
+	};
+
+	player.reset();
+	return player;
+};
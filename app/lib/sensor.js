@@ -0,0 +1,26 @@
+// Sensor module
+// The sources of the compass readings are drivers in `lib/sensor`, loaded like the Trimethyl ones.
+// A driver calls the handler passed to `start` with events shaped like the `heading` event
+// of `Ti.Geolocation` (`{ heading: { x, y, z } }`), until `stop` is called.
+// A driver can check its options in `validate`, throwing an error when they are wrong.
+// Events with `raw: true` skip the calibration and the filters of Core.
+
+// The driver to use by default: the real compass, or the simulator where there's no compass
+exports.config = _.extend({
+	driver: Alloy.Globals.SIMULATOR ? 'simulator' : 'compass'
+}, Alloy.CFG.sensor);
+
+// Load a driver
+exports.loadDriver = function(name) {
+	var sub = require('sensor/' + name);
+	if (sub == null) {
+		Ti.API.warn("Sensor: Unable to load driver <" + name + ">");
+	}
+
+	return _.extend({}, {
+		name: name,
+		validate: function(opt) {},
+		start: function(handler, opt) {},
+		stop: function() {}
+	}, sub);
+};
@@ -0,0 +1,18 @@
+// Compass driver
+// Reads the magnetometer through the `heading` event of `Ti.Geolocation`.
+
+var handler = null;
+
+exports.start = function(h) {
+	exports.stop();
+
+	handler = h;
+	Ti.Geolocation.addEventListener('heading', handler);
+};
+
+exports.stop = function() {
+	if (handler == null) return;
+
+	Ti.Geolocation.removeEventListener('heading', handler);
+	handler = null;
+};
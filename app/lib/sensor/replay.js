@@ -0,0 +1,72 @@
+// Replay driver
+// Plays back a recorded session, with its original timing, looping at the end.
+// The session can be one stored by the Recorder (`opt.sessionId`)
+// or a JSON file exported by the Exporter (`opt.file`, an absolute path).
+
+var Recorder = require('recorder');
+var Units = require('units');
+
+var timeout = null;
+
+function loadSamples(opt) {
+	if (opt.sessionId != null) {
+		return Recorder.getSamples(opt.sessionId);
+	}
+
+	// The exported intensities are in the unit of the file, the compass gives microtesla
+	var data = JSON.parse(Ti.Filesystem.getFile(opt.file).read().text);
+	return _.map(data.samples, function(s) {
+		return _.extend({}, s, {
+			timestamp: new Date(s.timestamp).getTime(),
+			x: Units.toMicrotesla(s.x, data.unit),
+			y: Units.toMicrotesla(s.y, data.unit),
+			z: Units.toMicrotesla(s.z, data.unit)
+		});
+	});
+}
+
+exports.validate = function(opt) {
+	opt = opt || {};
+
+	if (opt.sessionId == null && opt.file == null) {
+		throw new Error('Sensor: pass a `sessionId` or a `file` to replay');
+	}
+	if (opt.sessionId == null && !Ti.Filesystem.getFile(opt.file).exists()) {
+		throw new Error('Sensor: replay file not found <' + opt.file + '>');
+	}
+};
+
+exports.start = function(handler, opt) {
+	exports.stop();
+	exports.validate(opt);
+
+	var samples = loadSamples(opt);
+	if (samples.length === 0) {
+		Ti.API.warn('Sensor: nothing to replay');
+		return;
+	}
+
+	var index = 0;
+	var next = function() {
+		var sample = samples[index];
+		handler({
+			heading: {
+				x: sample.x,
+				y: sample.y,
+				z: sample.z
+			}
+		});
+
+		index = (index + 1) % samples.length;
+		var delay = index === 0 ? 100 : (samples[index].timestamp - sample.timestamp);
+		timeout = setTimeout(next, Math.max(0, delay));
+	};
+
+	// Like the compass, deliver the readings after `start` returns
+	timeout = setTimeout(next, 0);
+};
+
+exports.stop = function() {
+	clearTimeout(timeout);
+	timeout = null;
+};
@@ -0,0 +1,67 @@
+// Simulator driver
+// Where there's no real compass, we simulate it: by default with random values,
+// or playing a scenario of `assets/scenarios` (`opt.scenario`) at a fixed rate,
+// so every behaviour can be reproduced.
+
+var Scenario = require('scenario');
+
+var interval = null;
+var fakeSimulatorHeading = 0;
+
+// Turn a magnitude into a vector with the same components
+function toHeading(magnitude) {
+	var component = magnitude / Math.sqrt(3);
+	return {
+		heading: {
+			x: component,
+			y: component,
+			z: component
+		}
+	};
+}
+
+function startRandom(handler) {
+	interval = setInterval(function() {
+		fakeSimulatorHeading += -2 + Math.random() * 4;
+		handler({
+			heading: {
+				x: fakeSimulatorHeading,
+				y: fakeSimulatorHeading,
+				z: fakeSimulatorHeading
+			}
+		});
+	}, 100);
+}
+
+function startScenario(handler, name) {
+	var player = Scenario.create(Scenario.load(name));
+
+	interval = setInterval(function() {
+		var magnitude = player.next();
+		if (magnitude == null) return exports.stop();
+
+		// Relative values are anomalies over the earth field
+		if (player.relative && Core.earthMagneticIntensity != null) {
+			magnitude += Core.earthMagneticIntensity;
+		}
+
+		// The scenarios must give the same readings on every device, whatever its
+		// calibration and filters are
+		handler(_.extend(toHeading(Math.max(0, magnitude)), { raw: true }));
+	}, 1000 / player.rate);
+}
+
+exports.start = function(handler, opt) {
+	exports.stop();
+
+	if (opt && opt.scenario) {
+		startScenario(handler, opt.scenario);
+	} else {
+		startRandom(handler);
+	}
+};
+
+exports.stop = function() {
+	clearInterval(interval);
+	interval = null;
+};
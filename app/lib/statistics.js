@@ -0,0 +1,62 @@
+// Statistics module
+// Rolling statistics of the readings of a detection session: peak with its timestamp,
+// minimum, mean and standard deviation (with the Welford algorithm, so we don't keep
+// every value in memory), and the time spent in each step of the profile.
+
+function Statistics() {
+	this.reset();
+}
+
+// Start again from scratch
+Statistics.prototype.reset = function() {
+	this.count = 0;
+	this.mean = 0;
+	this.m2 = 0;
+	this.min = null;
+	this.max = null;
+	this.peakTimestamp = null;
+	this.startedAt = Date.now();
+	this.lastTimestamp = null;
+	this.lastStepIndex = null;
+	this.timeInSteps = {};
+};
+
+// Add a value, read at that timestamp while in that step
+Statistics.prototype.add = function(value, timestamp, stepIndex) {
+	this.count++;
+
+	var delta = value - this.mean;
+	this.mean += delta / this.count;
+	this.m2 += delta * (value - this.mean);
+
+	if (this.min == null || value < this.min) {
+		this.min = value;
+	}
+
+	if (this.max == null || value > this.max) {
+		this.max = value;
+		this.peakTimestamp = timestamp;
+	}
+
+	// The time between two readings is assigned to the step of the previous one
+	if (this.lastTimestamp != null) {
+		this.timeInSteps[this.lastStepIndex] = (this.timeInSteps[this.lastStepIndex] || 0) + (timestamp - this.lastTimestamp);
+	}
+	this.lastTimestamp = timestamp;
+	this.lastStepIndex = stepIndex;
+};
+
+Statistics.prototype.getVariance = function() {
+	return this.count > 1 ? this.m2 / (this.count - 1) : 0;
+};
+
+Statistics.prototype.getStandardDeviation = function() {
+	return Math.sqrt(this.getVariance());
+};
+
+// Get the milliseconds spent in a step
+Statistics.prototype.getTimeInStep = function(stepIndex) {
+	return this.timeInSteps[stepIndex] || 0;
+};
+
+module.exports = Statistics;
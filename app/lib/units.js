@@ -0,0 +1,54 @@
+// Units module
+// Core works in microtesla, as the compass reports the readings.
+// This module converts and formats every value in the unit chosen by the user,
+// so the UI, the sharing and the exports stay consistent.
+
+var PROPERTY = 'units';
+
+// Every unit has the factor to convert from microtesla and the decimals to show
+exports.UNITS = {
+	uT: { factor: 1, decimals: 0, symbol: 'µT', name: 'Microtesla' },
+	nT: { factor: 1000, decimals: 0, symbol: 'nT', name: 'Nanotesla' },
+	G: { factor: 0.01, decimals: 3, symbol: 'G', name: 'Gauss' },
+	mG: { factor: 10, decimals: 0, symbol: 'mG', name: 'Milligauss' }
+};
+
+var current = Ti.App.Properties.getString(PROPERTY, 'uT');
+if (exports.UNITS[current] == null) current = 'uT';
+
+// Get the key of the unit in use
+exports.get = function() {
+	return current;
+};
+
+// Get the definition of the unit in use, or the one passed
+exports.getUnit = function(key) {
+	return exports.UNITS[key || current];
+};
+
+// Change the unit in use and persist it
+exports.set = function(key) {
+	if (exports.UNITS[key] == null) throw new Error('Units: unknown unit <' + key + '>');
+
+	current = key;
+	Ti.App.Properties.setString(PROPERTY, key);
+	Event.trigger('units.changed', key);
+};
+
+// Convert a value from microtesla to the unit in use (or the one passed)
+exports.convert = function(value, key) {
+	return value * exports.getUnit(key).factor;
+};
+
+// Convert a value from the unit in use (or the one passed) to microtesla
+exports.toMicrotesla = function(value, key) {
+	return value / exports.getUnit(key).factor;
+};
+
+// Format a value in microtesla to a string in the unit in use,
+// optionally followed by the unit symbol
+exports.format = function(value, withSymbol, key) {
+	var unit = exports.getUnit(key);
+	var str = (value * unit.factor).toFixed(unit.decimals);
+	return withSymbol ? (str + ' ' + unit.symbol) : str;
+};
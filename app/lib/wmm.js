@@ -0,0 +1,165 @@
+// World Magnetic Model module
+// Evaluates the WMM spherical harmonic model offline, using the coefficients
+// shipped in `data/WMM.COF` (the standard NOAA format, so it can be replaced with a new release).
+
+// WGS84 ellipsoid and geomagnetic reference radius, in km
+var WGS84_A = 6378.137;
+var WGS84_F = 1 / 298.257223563;
+var WGS84_E2 = WGS84_F * (2 - WGS84_F);
+var REFERENCE_RADIUS = 6371.2;
+
+var DEG2RAD = Math.PI / 180;
+
+// The parsed model, loaded lazily from the resources
+var model = null;
+
+// Parse a COF file into a model object.
+// The coefficients are stored as `g[n][m]`, `h[n][m]`, and their secular variations `dg[n][m]`, `dh[n][m]`.
+exports.parse = function(text) {
+	var lines = text.split(/\r?\n/);
+	var header = lines[0].trim().split(/\s+/);
+
+	var parsed = {
+		epoch: parseFloat(header[0]),
+		name: header[1],
+		releaseDate: header[2],
+		maxDegree: 0,
+		g: [], h: [], dg: [], dh: []
+	};
+
+	for (var i = 1; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line === '' || /^9{10,}/.test(line)) break;
+
+		var values = line.split(/\s+/).map(parseFloat);
+		var n = values[0], m = values[1];
+
+		parsed.g[n] = parsed.g[n] || [];
+		parsed.h[n] = parsed.h[n] || [];
+		parsed.dg[n] = parsed.dg[n] || [];
+		parsed.dh[n] = parsed.dh[n] || [];
+
+		parsed.g[n][m] = values[2];
+		parsed.h[n][m] = values[3];
+		parsed.dg[n][m] = values[4];
+		parsed.dh[n][m] = values[5];
+
+		parsed.maxDegree = Math.max(parsed.maxDegree, n);
+	}
+
+	return parsed;
+};
+
+// Get the model, reading the bundled coefficients the first time
+exports.getModel = function() {
+	if (model == null) {
+		var file = Ti.Filesystem.getFile(Ti.Filesystem.resourcesDirectory, 'data/WMM.COF');
+		model = exports.parse(file.read().text);
+	}
+	return model;
+};
+
+// Replace the model in use, for example with a newer release
+exports.setModel = function(m) {
+	model = m;
+};
+
+// Convert a Date to a decimal year, as the model expects
+exports.decimalYear = function(date) {
+	var year = date.getUTCFullYear();
+	var start = Date.UTC(year, 0, 1);
+	var end = Date.UTC(year + 1, 0, 1);
+	return year + (date.getTime() - start) / (end - start);
+};
+
+// Compute the Schmidt semi-normalized associated Legendre functions
+// and their derivatives with respect to the colatitude.
+function legendre(maxDegree, cosTheta, sinTheta) {
+	var P = [[1]], dP = [[0]];
+
+	for (var n = 1; n <= maxDegree; n++) {
+		P[n] = [];
+		dP[n] = [];
+
+		for (var m = 0; m < n; m++) {
+			var k = Math.sqrt(n * n - m * m);
+			var prev2 = n >= 2 && m <= n - 2 ? P[n - 2][m] : 0;
+			var dPrev2 = n >= 2 && m <= n - 2 ? dP[n - 2][m] : 0;
+			var c = Math.sqrt((n - 1) * (n - 1) - m * m);
+
+			P[n][m] = ((2 * n - 1) * cosTheta * P[n - 1][m] - c * prev2) / k;
+			dP[n][m] = ((2 * n - 1) * (cosTheta * dP[n - 1][m] - sinTheta * P[n - 1][m]) - c * dPrev2) / k;
+		}
+
+		var s = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+		P[n][n] = s * sinTheta * P[n - 1][n - 1];
+		dP[n][n] = s * (cosTheta * P[n - 1][n - 1] + sinTheta * dP[n - 1][n - 1]);
+	}
+
+	return { P: P, dP: dP };
+}
+
+// Compute the magnetic elements for a position and a date.
+// Latitude and longitude are in degrees, altitude in km above the ellipsoid.
+// All intensities are returned in nanotesla, angles in degrees.
+exports.calculate = function(latitude, longitude, altitude, date) {
+	var m = exports.getModel();
+	var time = exports.decimalYear(date || new Date());
+	var dt = time - m.epoch;
+	altitude = altitude || 0;
+
+	// Geodetic to geocentric spherical coordinates
+	var lat = latitude * DEG2RAD;
+	var lon = longitude * DEG2RAD;
+	var rc = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.pow(Math.sin(lat), 2));
+	var p = (rc + altitude) * Math.cos(lat);
+	var z = (rc * (1 - WGS84_E2) + altitude) * Math.sin(lat);
+	var r = Math.sqrt(p * p + z * z);
+	var latGeocentric = Math.asin(z / r);
+
+	var cosTheta = Math.sin(latGeocentric);
+	// Avoid the singularity of the east component at the poles
+	var sinTheta = Math.max(Math.cos(latGeocentric), 1e-10);
+
+	var leg = legendre(m.maxDegree, cosTheta, sinTheta);
+
+	var br = 0, btheta = 0, bphi = 0;
+	for (var n = 1; n <= m.maxDegree; n++) {
+		var ratio = Math.pow(REFERENCE_RADIUS / r, n + 2);
+
+		for (var k = 0; k <= n; k++) {
+			var g = m.g[n][k] + dt * m.dg[n][k];
+			var h = m.h[n][k] + dt * m.dh[n][k];
+			var cosK = Math.cos(k * lon);
+			var sinK = Math.sin(k * lon);
+
+			br += (n + 1) * ratio * (g * cosK + h * sinK) * leg.P[n][k];
+			btheta -= ratio * (g * cosK + h * sinK) * leg.dP[n][k];
+			bphi += ratio * k * (g * sinK - h * cosK) * leg.P[n][k] / sinTheta;
+		}
+	}
+
+	// Rotate from the geocentric to the geodetic frame
+	var psi = latGeocentric - lat;
+	var xGeocentric = -btheta;
+	var zGeocentric = -br;
+
+	var north = xGeocentric * Math.cos(psi) - zGeocentric * Math.sin(psi);
+	var east = bphi;
+	var down = xGeocentric * Math.sin(psi) + zGeocentric * Math.cos(psi);
+
+	var horizontal = Math.sqrt(north * north + east * east);
+	var total = Math.sqrt(horizontal * horizontal + down * down);
+
+	return {
+		north: north,
+		east: east,
+		down: down,
+		horizontal: horizontal,
+		total: total,
+		declination: Math.atan2(east, north) / DEG2RAD,
+		inclination: Math.atan2(down, horizontal) / DEG2RAD,
+		model: m.name,
+		date: time
+	};
+};
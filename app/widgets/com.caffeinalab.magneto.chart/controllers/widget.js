@@ -0,0 +1,55 @@
+var args = _.extend({
+	width: $.cfn_Chart.size.width || 320,
+	height: $.cfn_Chart.size.height || 200,
+	ratio: OS_ANDROID ? Ti.Platform.displayCaps.logicalDensityFactor : Ti.Platform.displayCaps.dpi/160,
+	window: 30,
+	liveLabel: L('chart_live', 'LIVE')
+}, arguments[0]);
+
+function init() {
+	var html = '<!DOCTYPE html>';
+	html += '<html><head>';
+	html += '<meta name="viewport" content="width=device-width, user-scalable=no,initial-scale=1.0,minimum-scale=1.0,maximum-scale=1.0" />';
+	html += '<style>html,body{margin:0;padding:0;overflow:hidden;}</style>';
+	html += '</head><body>';
+	if (Ti.Shadow) {
+		html += '<script>' + Ti.Filesystem.getFile(WPATH("/chart.jslocal")).read().text + '</script>';
+	} else {
+		html += '<script src="' + WPATH("/chart.jslocal") + '"></script>';
+	}
+	html += '<script>window.CH = new Chart(' + JSON.stringify(_.pick(args, 'width', 'height', 'ratio', 'window', 'liveLabel')) + ');</script>';
+	html += '</body></html>';
+	$.cfn_Chart.html = html;
+}
+
+function call(fn, val) {
+	$.cfn_Chart.evalJS('window.CH && window.CH.' + fn + '(' + (val == null ? '' : JSON.stringify(val)) + ');');
+}
+exports.call = call;
+
+// Add a point to the chart
+exports.push = function(timestamp, value) {
+	call('push', { t: timestamp, v: value });
+};
+
+// Set the horizontal bands, as an array of `{ value, color, title }`, sorted by value
+exports.setBands = function(bands) {
+	call('setBands', bands);
+};
+
+// Set the length of the visible time window, in seconds
+exports.setWindow = function(seconds) {
+	call('setWindow', seconds);
+};
+
+// Remove every point
+exports.clear = function() {
+	call('clear');
+};
+
+// Go back to the live view, after the user has moved the window in the past
+exports.live = function() {
+	call('live');
+};
+
+init();